@@ -1,87 +1,153 @@
-import { app, query, sparqlEscapeUri, beforeExit } from 'mu';
-import { PULL_MONITOR_IMAGE } from './environment';
+import { app, beforeExit } from 'mu';
+import { query } from './sparql';
+import { PULL_MONITOR_IMAGE, CAPTURE_DRIVER, PCAP_HOST_DIRECTORY, PCAP_RETENTION_INTERVAL, DRY_RUN, MONITOR_GC_INTERVAL, MONITOR_HANDOFF, MONITOR_UPGRADE, MONITOR_UPGRADE_INTERVAL, MONITOR_STATS_INTERVAL } from './environment';
 import bodyParser from 'body-parser';
 import docker from './docker';
 import NetworkMonitor from './network-monitor';
 import transitions from './transitions';
+import backoff from './restart-backoff';
+import dockerDriver from './docker-driver';
+import profiles from './profiles';
+import pcap from './pcap';
+import health from './health';
+import metrics from './metrics';
+import monitorGc from './monitor-gc';
+import delta from './delta';
+import capturePolicies from './capture-policies';
+import captureSessions from './capture-sessions';
+import captureSchedule from './capture-schedule';
+import networkNamespaces from './network-namespaces';
+import dockerHosts from './docker-hosts';
+import rollingUpgrade from './rolling-upgrade';
+import resourceUsage from './resource-usage';
+import { listMonitors, showMonitor, restartMonitor, stopMonitor, startMonitor, resetMonitor, listCaptures, downloadCapture } from './monitor-api';
+import { sendError } from './responses';
 
 // Env vars
-const MONITOR_IMAGE = process.env.MONITOR_IMAGE;
 const CAPTURE_SYNC_INTERVAL = process.env.CAPTURE_SYNC_INTERVAL;
-const APPLICATION_GRAPH = process.env.MU_APPLICATION_GRAPH;
-const CAPTURE_CONTAINER_FILTER = process.env.CAPTURE_CONTAINER_FILTER || '';
 
-let exiting = false;
-
-async function monitor() {
+// Reconcile the network monitors with the logged containers.
+// Exported for the end-to-end tests, which run syncs on demand.
+export async function monitor() {
   console.log("Starting monitor sync.");
+  const syncStart = Date.now();
+  const plan = await planSync();
+
+  for (let step of plan) {
+    console.log(`Sync: ${step.action} for ${step.container.uri}, ${step.explanation}.`);
+    if (step.action == "forgetMonitor") {
+      // Not a docker transition, the monitor is only marked as removed
+      if (!DRY_RUN)
+        await step.monitor.remove({ reason: "sync", error: step.error });
+    } else if (step.action == "recordAttachedContainers") {
+      // Not a docker transition either, the monitor already captures the whole network namespace
+      if (!DRY_RUN)
+        await step.monitor.setAttachedContainers(step.container.namespaceMembers);
+    } else {
+      transitions.enqueue(step.container, step.monitor, transitions[step.action], { reason: "sync" });
+    }
+  }
+  health.recordSync();
+  metrics.syncDuration((Date.now() - syncStart) / 1000);
+};
+
+// Compare the logged containers with the running network monitors and return the steps to reconcile them.
+// Each step has an action (createMonitor, restartMonitor, removeMonitor, forgetMonitor or recordAttachedContainers), the container,
+// the monitor (if any) and an explanation. Makes no changes.
+async function planSync() {
+  const plan = [];
+  if (CAPTURE_DRIVER != "docker") {
+    await capturePolicies.refresh(); // Pick up policy changes
+  }
   const runningNetworkMonitors = await NetworkMonitor.findAll("running");
   console.log(`Found ${runningNetworkMonitors.length} network monitors registered in triplestore`);
-  const runningContainers = await loggedContainers();
-  console.log(`Found ${runningContainers.length} non-networking containers registered in triplestore`);
+  const runningContainers = await currentLoggedContainers();
+  console.log(`Found ${runningContainers.length} non-networking containers to log`);
+  const inactiveNetworkMonitors = (await NetworkMonitor.findAll("stopped")).concat(await NetworkMonitor.findAll("failed"));
 
   for (let container of runningContainers) {
     let index = runningNetworkMonitors.findIndex((monitor) => monitor.dockerContainer === container.uri);
     if (index > -1) {
       // Already monitoring container, remove from list
       let attachedMonitor = runningNetworkMonitors.splice(index, 1)[0];
+      const attachedContainers = await attachedMonitor.getAttachedContainers();
+      if (attachedContainers.slice().sort().join(" ") != container.namespaceMembers.slice().sort().join(" ")) {
+        plan.push({ action: "recordAttachedContainers", container: container, monitor: attachedMonitor,
+                    explanation: "containers sharing its network namespace changed" });
+      }
       try {
         let status = await attachedMonitor.containerStatus();
         console.log(`Status for ${container.uri}: ${status}.`);
         if (status != "running" && status != "created") {
-          transitions.enqueue(container, attachedMonitor, transitions.restartMonitor);
+          if (backoff.isBackingOff(container.uri)) {
+            console.log(`Waiting to restart monitor for ${container.uri}, backing off.`);
+          } else {
+            plan.push({ action: "restartMonitor", container: container, monitor: attachedMonitor,
+                        explanation: `monitor container is ${status || "missing"}` });
+          }
         }
       } catch (e) {
         console.log(`Something went wrong with monitor for ${container.uri}, removing it.`);
-        await attachedMonitor.remove();
+        plan.push({ action: "forgetMonitor", container: container, monitor: attachedMonitor, error: e,
+                    explanation: `status of monitor container could not be fetched: ${e.message || e}` });
       }
     }
+    else if (inactiveNetworkMonitors.some((monitor) => monitor.dockerContainer === container.uri)) {
+      // monitor was stopped manually or failed, leave it alone
+    }
     else {
       // not monitoring this container yet, start one
-      try {
-        transitions.enqueue(container, null, transitions.createMonitor);
-      } catch( error ) {
-        console.error(`Could not create monitor for ${container.uri}`);
-        console.error(error);
-      }
+      plan.push({ action: "createMonitor", container: container, monitor: null,
+                  explanation: "container is logged but not monitored" });
     }
   }
   // remaining monitors are for containers that are no longer running or logged, kill them
   for (let monitor of runningNetworkMonitors) {
     const container = await monitor.getLoggedContainer();
     if (container)
-      transitions.enqueue(container, monitor, transitions.removeMonitor);
+      plan.push({ action: "removeMonitor", container: container, monitor: monitor,
+                  explanation: "container is no longer running, logged or in its capture window" });
   }
-};
+  return plan;
+}
 
-async function loggedContainers() {
-  const result = await query(`
-        PREFIX docker: <https://w3.org/ns/bde/docker#>
-        SELECT DISTINCT ?uri ?id ?image ?name
-        FROM ${sparqlEscapeUri(APPLICATION_GRAPH)}
-        WHERE {
-          ?uri a docker:Container;
-               docker:id ?id;
-               docker:name ?name;
-               docker:image ?image;
-               docker:state/docker:status "running".
-        ${CAPTURE_CONTAINER_FILTER}
-        FILTER(NOT EXISTS {
-            ?uri docker:label/docker:key "mu.semte.ch.networkMonitor".
-          })
-        }
-    `);
-  const bindingKeys = result.head.vars;
-  const objects =  result.results.bindings.map( (r) => {
-    let obj = {};
-    bindingKeys.forEach((key) => {
-      if (r[key])
-        obj[key] = r[key].value;
+// GET /plan
+// Returns the steps the next sync would take, without making changes.
+async function showPlan(req, res) {
+  try {
+    const plan = await planSync();
+    res.status(200).send({
+      data: plan.map((step) => ({
+        action: step.action,
+        explanation: step.explanation,
+        container: { uri: step.container.uri, id: step.container.id, name: step.container.name },
+        monitor: step.monitor ? { id: step.monitor.id, uri: step.monitor.uri } : null
+      }))
     });
-    return obj;
-  });
-  return objects;
-};
+  } catch (error) {
+    console.error("ERROR: Failed to plan sync");
+    console.error(error);
+    sendError(res, 500, "Failed to plan sync");
+  }
+}
+
+// The running containers to log, according to the capture driver
+// Logged containers outside of their capture window or sample are left out,
+// containers with an active capture session are logged regardless.
+// Only one container per network namespace is returned, with the others as its namespaceMembers.
+// Containers which can't be mapped to a known docker host are left out.
+async function currentLoggedContainers() {
+  let containers;
+  if (CAPTURE_DRIVER == "docker") {
+    containers = await captureSchedule.select(await dockerDriver.loggedContainers());
+  } else {
+    containers = await captureSchedule.select(await capturePolicies.loggedContainers());
+    containers = containers.concat(await captureSessions.loggedContainers(containers));
+    containers = await dockerHosts.assign(containers);
+  }
+  const monitored = new Set((await NetworkMonitor.findAll("running")).map((monitor) => monitor.dockerContainer));
+  return await networkNamespaces.group(containers, monitored);
+}
 
 
 function timeout(ms) {
@@ -114,24 +180,32 @@ async function awaitDb() {
 };
 
 async function awaitDocker() {
-  await awaitGeneric('Successfully connected to docker daemon', 'Failed to connect to docker daemon', docker.listContainers);
+  for (let host of dockerHosts.all()) {
+    await awaitGeneric(`Successfully connected to docker daemon ${host}`, `Failed to connect to docker daemon ${host}`, () => docker.listContainers({}, host));
+  }
 };
 
+// Pull the images of all monitor profiles on every docker host
 async function awaitImage() {
-  if (PULL_MONITOR_IMAGE) {
-    while (true) {
-      console.log(`Pulling ${MONITOR_IMAGE}...`);
-      try {
-        await docker.pull(MONITOR_IMAGE);
-        console.log('Successfully pulled image.');
-        break;
-      }
-      catch(e) {
-        console.error('ERROR: Failed to pull ' + MONITOR_IMAGE);
+  const images = [...new Set(Object.values(profiles.all()).map((profile) => profile.image))];
+  for (let host of dockerHosts.all()) {
+    for (let image of images) {
+      if (PULL_MONITOR_IMAGE && !DRY_RUN) {
+        while (true) {
+          console.log(`Pulling ${image} on ${host}...`);
+          try {
+            await docker.pull(image, host);
+            console.log('Successfully pulled image.');
+            break;
+          }
+          catch(e) {
+            console.error(`ERROR: Failed to pull ${image} on ${host}`);
+          }
+        }
+      } else {
+        console.log(`Skipping pull of monitor image ${image}`);
       }
     }
-  } else {
-    console.log(`Skipping pull of monitor image ${MONITOR_IMAGE}`);
   }
 }
 
@@ -142,11 +216,11 @@ async function removeExistingMonitors() {
   for(let monitor of await NetworkMonitor.findAll("running")) {
     tuples.push({
       monitor: monitor,
-      container: await monitor.getLoggedContainer()
+      container: await monitor.getLoggedContainer() || { uri: monitor.dockerContainer, id: null, name: monitor.uri }
     });
   }
   // Wait for all containers to be removed.
-  return Promise.all(tuples.map(async (tuple) => { transitions.enqueue(tuple.container, tuple.monitor, transitions.removeMonitor);
+  return Promise.all(tuples.map(async (tuple) => { transitions.enqueue(tuple.container, tuple.monitor, transitions.removeMonitor, { reason: "shutdown" });
                                                    return transitions.wait(tuple.container);
                                                  }))
                 .then(() => console.log("Cleanup done."));
@@ -155,132 +229,197 @@ async function removeExistingMonitors() {
 // Shut down gracefully
 beforeExit( async () => {
   console.log("Starting exit procedure")
+  health.setPhase("exiting");
   clearInterval(intervalID); // Disable sync
-  exiting = true; // Stop receiving deltas
+  clearInterval(gcIntervalID); // Disable garbage collection
+  clearInterval(upgradeIntervalID); // Disable upgrades
+  clearInterval(statsIntervalID); // Disable resource usage sampling
+  clearInterval(retentionIntervalID); // Disable pcap retention
+  rollingUpgrade.cancel();
+  delta.stop(); // Stop receiving deltas
+  captureSessions.stop(); // Expiry is picked up again on the next start
+  dockerDriver.unwatch(); // Stop receiving docker events
 
-  console.log("Running clreanup.");
-  await removeExistingMonitors();
+  if (MONITOR_HANDOFF) {
+    console.log("Handoff mode: leaving monitors running for the next instance.");
+  } else {
+    console.log("Running clreanup.");
+    await removeExistingMonitors();
+  }
+  transitions.flushJournal();
 });
 
-async function handleDelta(req, res) {
-  if(exiting) {
-    return;
+// Delta sends messages with Content-Type: application/json rather than application/vnd.api+json
+app.post('/.mu/delta', bodyParser.json({ limit: '100mb' }), delta.handleDelta);
+delta.onPolicyChange(sync);
+
+app.get('/health', health.health);
+app.get('/ready', health.ready);
+app.get('/metrics', metrics.handler);
+
+metrics.registerGauge("capture_monitors", "Network monitors, by status", async () => {
+  const counts = {};
+  for (let monitor of await NetworkMonitor.findAll()) {
+    counts[monitor.status] = (counts[monitor.status] || 0) + 1;
   }
+  return Object.keys(counts).map((status) => ({ labels: { status: status }, value: counts[status] }));
+});
+metrics.registerGauge("capture_transition_queue_length", "Queued transitions, by logged container", async () => {
+  return transitions.queueLengths().map((entry) => ({ labels: { container_id: entry.id, container_name: entry.name }, value: entry.length }));
+});
+
+metrics.registerGauge("capture_monitors_outdated", "Running network monitors not on the current image of their profile", async () => {
+  const outdated = rollingUpgrade.outdatedCount();
+  return outdated == null ? [] : [{ value: outdated }];
+});
+
+metrics.registerGauge("capture_monitor_cpu_percent", "CPU usage of running monitor containers, in percent of one CPU", async () => {
+  return resourceUsage.lastSamples().map((sample) => ({ labels: { monitor_id: sample.id }, value: sample.usage.cpuPercent }));
+});
+metrics.registerGauge("capture_monitor_memory_bytes", "Memory usage of running monitor containers", async () => {
+  return resourceUsage.lastSamples().map((sample) => ({ labels: { monitor_id: sample.id }, value: sample.usage.memoryBytes }));
+});
 
-  console.log(`Received delta.`);
+app.get('/plan', showPlan);
+app.get('/transitions', transitions.showTransitions);
+app.get('/capture-policies', capturePolicies.listPolicies);
+app.post('/capture-policies', bodyParser.json(), capturePolicies.createPolicy);
+app.delete('/capture-policies/:id', capturePolicies.deletePolicy);
+app.get('/capture-sessions', captureSessions.listSessions);
+app.delete('/capture-sessions/:id', captureSessions.endSession);
+app.get('/upgrade', rollingUpgrade.status);
 
-  // Assume we always get two delta's, one with only inserts and another with only deletes.
-  // We only care about the inserts, assuming that the previous value for docker:state/docker:status was properly deleted
-  let inserts;
+app.get('/monitors', listMonitors);
+app.get('/monitors/:id', showMonitor);
+app.post('/monitors/:id/restart', restartMonitor);
+app.delete('/monitors/:id', stopMonitor);
+app.post('/monitors/:id/reset', resetMonitor);
+app.post('/containers/:uuid/monitor', startMonitor);
+app.post('/containers/:uuid/capture-sessions', bodyParser.json(), captureSessions.startSession);
+app.get('/captures', listCaptures);
+app.get('/captures/:project/:service/:name', downloadCapture);
+
+let intervalID;
+let gcIntervalID;
+let upgradeIntervalID;
+let statsIntervalID;
+let retentionIntervalID;
+
+async function init() {
+  if (CAPTURE_DRIVER == "docker") {
+    console.log("Following containers through docker events");
+  } else {
+    health.setPhase("database");
+    await awaitDb();
+  }
+  health.setPhase("docker");
+  await awaitDocker();
+  health.setPhase("image");
+  await awaitImage();
+  if (CAPTURE_DRIVER != "docker") {
+    await resumeCaptureSessions();
+    await resumeRestartBackoff();
+  }
+  if (MONITOR_HANDOFF) {
+    health.setPhase("handoff");
+    await adoptExistingMonitors();
+  }
+  await resumeTransitions();
+  if (CAPTURE_DRIVER == "docker") {
+    dockerDriver.watch();
+  }
+  health.setPhase("running");
+  intervalID = setInterval( sync, CAPTURE_SYNC_INTERVAL );
+  gcIntervalID = setInterval( collectGarbage, MONITOR_GC_INTERVAL );
+  statsIntervalID = setInterval( sampleResourceUsage, MONITOR_STATS_INTERVAL );
+  if (MONITOR_UPGRADE) {
+    upgradeMonitors(); // A newer image may have been pulled on startup
+    upgradeIntervalID = setInterval( upgradeMonitors, MONITOR_UPGRADE_INTERVAL );
+  }
+  if (PCAP_HOST_DIRECTORY) {
+    retentionIntervalID = setInterval( enforcePcapRetention, PCAP_RETENTION_INTERVAL );
+  }
+}
+
+async function resumeTransitions() {
   try {
-    inserts = req.body[0].inserts.length == 0 ? req.body[1].inserts : req.body[0].inserts;
-  } catch(error) {
-    console.error("ERROR: Got delta in unexpected format.");
-    console.error(req.body);
+    await transitions.resume();
+  } catch (error) {
+    console.error("ERROR: Failed to resume transitions from the journal, the sync reconciles them instead");
     console.error(error);
   }
-  inserts = inserts.filter(triple => triple.predicate.value == "https://w3.org/ns/bde/docker#status");
-
-  const containers = [];
-  for(let change of inserts) {
-    let status = change.object.value;
-    let container = await getContainerByState(change.subject.value);
-    container.statusLabel = status;
-    if(container == null) {
-      console.error(`ERROR: Could not find container for ${change.subject.value}`);
-    } else {
-      const alreadyFetched = containers.find(c => c.uri == container.uri && c.statusLabel == container.statusLabel);
-      if (!alreadyFetched) {
-        containers.push(container);
-      }
-    }
+}
+
+async function resumeCaptureSessions() {
+  try {
+    await captureSessions.resume();
+  } catch (error) {
+    console.error("ERROR: Failed to resume capture sessions, their monitors are removed by the sync");
+    console.error(error);
   }
-  console.log(`Found ${containers.length} containers in delta for which status got updated`);
-
-  for (let container of containers) {
-    console.log(`Delta: state of ${container.id} changed to ${container.statusLabel}.`);
-    if(await isLogged(container)) { // If we're dealing with a container to log
-      let monitor = await NetworkMonitor.findByLoggedContainer(container.uri);
-      if (container.statusLabel == "running" || container.statusLabel == "created") { // If the container is now running
-        if(monitor == null) { // And there is no monitor yet
-          transitions.enqueue(container, null, transitions.createMonitor); // Create a new monitor
-        }
-      } else { // If the new status is a non-active status
-        if(monitor != null) { // And there's still a monitor
-          transitions.enqueue(container, monitor, transitions.removeMonitor); // Remove it
-        }
-      }
-    } else {
-      let monitor = await NetworkMonitor.findByRunningContainer(container);
-      if(monitor != null) {// If it's a monitoring container.
-        if(container.statusLabel != "running" && container.statusLabel != "created") { // And it has stopped running
-          let loggedContainer = await monitor.getLoggedContainer();
-          transitions.enqueue(loggedContainer, monitor, transitions.restartMonitor); // Restart it
-        }
-      }
-    }
+}
+
+async function resumeRestartBackoff() {
+  try {
+    await backoff.resume();
+  } catch (error) {
+    console.error("ERROR: Failed to load recent restart attempts, crash loops are detected from scratch");
+    console.error(error);
   }
-  res.status(200).end();
 }
 
-// Return a container by its state URI
-async function getContainerByState(state) {
-  let result = await query(`
-    PREFIX docker: <https://w3.org/ns/bde/docker#>
-    SELECT ?uri ?id ?name ?image
-    FROM ${sparqlEscapeUri(APPLICATION_GRAPH)}
-    WHERE {
-      ?uri a docker:Container;
-            docker:id ?id;
-            docker:name ?name;
-            docker:image ?image;
-            docker:state ${sparqlEscapeUri(state)}.
-    }
-  `);
-  // Assume we only get a single result, as a State object should only be associated with a single container.
-  if(result.results.bindings.length > 0) {
-    let resultBinding = result.results.bindings[0];
-    return {
-      uri: resultBinding["uri"].value,
-      id: resultBinding["id"].value,
-      name: resultBinding["name"].value,
-      image: resultBinding["image"].value,
-      status: state
-    };
-  } else {
-    return null;
+async function adoptExistingMonitors() {
+  try {
+    await monitorGc.adoptExisting(await currentLoggedContainers());
+  } catch (error) {
+    console.error("ERROR: Failed to adopt existing monitors, the sync reconciles them instead");
+    console.error(error);
   }
 }
 
-// Check if the container with the given URI is logged.
-async function isLogged(container) {
-  // This should be an ASK query but I didn't get it to work properly.
-  // The CAPTURE_CONTAINER_FILTER environment variable needs the URI
-  // of the container bound as ?uri.
-  // So we just check if this query returns any results.
-  let result = await query(`
-    PREFIX docker: <https://w3.org/ns/bde/docker#>
-    SELECT ?uri
-    FROM ${sparqlEscapeUri(APPLICATION_GRAPH)}
-    WHERE {
-      ?uri a docker:Container.
-      ${CAPTURE_CONTAINER_FILTER}
-      FILTER(?uri = ${sparqlEscapeUri(container.uri)})
-    }
-  `);
-  return result.results.bindings.length > 0;
+async function sync() {
+  try {
+    await monitor();
+  } catch (error) {
+    console.error("ERROR: Failed to sync monitors");
+    console.error(error);
+  }
 }
 
-// Delta sends messages with Content-Type: application/json rather than application/vnd.api+json
-app.post('/.mu/delta', bodyParser.json({ limit: '100mb' }), handleDelta);
+async function upgradeMonitors() {
+  try {
+    await rollingUpgrade.run();
+  } catch (error) {
+    console.error("ERROR: Failed to upgrade outdated monitors");
+    console.error(error);
+  }
+}
 
-let intervalID;
+async function sampleResourceUsage() {
+  try {
+    await resourceUsage.sample();
+  } catch (error) {
+    console.error("ERROR: Failed to sample resource usage of monitors");
+    console.error(error);
+  }
+}
 
-async function init() {
-  await awaitDb();
-  await awaitDocker();
-  await awaitImage();
-  intervalID = setInterval( monitor, CAPTURE_SYNC_INTERVAL );
+async function collectGarbage() {
+  try {
+    await monitorGc.sweep(await currentLoggedContainers());
+  } catch (error) {
+    console.error("ERROR: Failed to collect orphaned monitor containers");
+    console.error(error);
+  }
+}
+
+async function enforcePcapRetention() {
+  try {
+    await pcap.enforceRetention();
+  } catch (error) {
+    console.error("ERROR: Failed to enforce retention of capture files");
+    console.error(error);
+  }
 }
 
 init();
@@ -0,0 +1,534 @@
+import { uuid, sparqlEscapeUri, sparqlEscapeString, sparqlEscapeInt } from 'mu';
+import { query, update } from './sparql';
+import { CAPTURE_CONTAINER_FILTER } from './environment';
+import { parsePorts } from './capture-settings';
+import { matchesSelector } from './label-selector';
+import profiles from './profiles';
+import { parseSchedule, MAX_WINDOW } from './capture-schedule';
+import { sendError, rejectInDryRun } from './responses';
+
+// Capture policies decide which containers get a monitor, and with which settings.
+// A policy is a logger:CapturePolicy in the application graph matching containers on
+// - logger:matchLabel: labels the container must have, as "key" or "key=value" (any number)
+// - logger:matchImage: image of the container, "*" matches any characters
+// - logger:matchName: regular expression on the name of the container
+// - logger:matchComposeProject: compose project of the container
+// and carrying the capture settings logger:listenPorts, logger:maxMessageSize, logger:logstashUrl and logger:profile,
+// and the capture window settings logger:schedule, logger:scheduleDuration and logger:sampleSize (see capture-schedule.js).
+// A container is captured when all criteria of any policy match. The settings of the matching policy with the highest
+// logger:priority apply, overridden by the logging.* labels of the container.
+// As long as there are no valid policies, the legacy CAPTURE_CONTAINER_FILTER decides instead.
+// Policies are reloaded on every sync and when a delta touches them, invalid policies are ignored.
+// When all policies turn out invalid, the last valid ones keep applying until the policies are fixed.
+
+const PREFIXES = `
+PREFIX logger: <http://mu.semte.ch/vocabularies/ext/docker-logger/>
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX docker: <https://w3.org/ns/bde/docker#>
+`;
+const LOGGER = "http://mu.semte.ch/vocabularies/ext/docker-logger/";
+const POLICY_TYPE = `${LOGGER}CapturePolicy`;
+const MONITOR_LABEL = "mu.semte.ch.networkMonitor";
+
+// Predicates of a policy, by attribute
+const PREDICATES = {
+  labels: "matchLabel",
+  image: "matchImage",
+  namePattern: "matchName",
+  composeProject: "matchComposeProject",
+  priority: "priority",
+  listenPorts: "listenPorts",
+  maxMessageSize: "maxMessageSize",
+  logstashUrl: "logstashUrl",
+  profile: "profile",
+  schedule: "schedule",
+  scheduleDuration: "scheduleDuration",
+  sampleSize: "sampleSize"
+};
+
+let policies = null; // { valid, invalid, applied } once loaded, applied are the policies containers are matched against
+
+export default {
+  refresh,
+  loggedContainers,
+  loggedUris,
+  match,
+  isPolicyChange,
+  listPolicies,
+  createPolicy,
+  deletePolicy
+};
+
+/**
+ * Reload the policies from the triplestore. Invalid policies are logged and left out,
+ * unless all policies are invalid: then the previously applied policies are kept.
+ */
+async function refresh() {
+  const result = await query(`
+    ${PREFIXES}
+    SELECT ?uri ?id ?predicate ?value
+    FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+    WHERE {
+      ?uri a logger:CapturePolicy;
+           mu:uuid ?id.
+      OPTIONAL {
+        ?uri ?predicate ?value.
+        VALUES ?predicate { ${Object.values(PREDICATES).map((name) => `logger:${name}`).join(" ")} }
+      }
+    }
+  `);
+  const resources = {};
+  for(let binding of result.results.bindings) {
+    const uri = binding["uri"].value;
+    resources[uri] = resources[uri] || { uri: uri, id: binding["id"].value, values: {} };
+    if(binding["predicate"]) {
+      const name = binding["predicate"].value.split("/").pop();
+      resources[uri].values[name] = (resources[uri].values[name] || []).concat([binding["value"].value]);
+    }
+  }
+
+  const valid = [];
+  const invalid = [];
+  for(let resource of Object.values(resources)) {
+    const attributes = fromValues(resource.values);
+    const errors = attributes.errors.concat(validate(attributes.policy));
+    const policy = Object.assign({ uri: resource.uri, id: resource.id }, attributes.policy);
+    if(errors.length > 0) {
+      console.error(`ERROR: Ignoring invalid capture policy ${resource.uri}: ${errors.join("; ")}`);
+      invalid.push(Object.assign(policy, { errors: errors }));
+    } else {
+      valid.push(Object.assign(policy, compile(policy)));
+    }
+  }
+  valid.sort((a, b) => b.priority - a.priority || a.uri.localeCompare(b.uri));
+  let applied = valid;
+  if(valid.length == 0 && invalid.length > 0 && policies && policies.applied.length > 0) {
+    console.error(`ERROR: All capture policies are invalid, keeping the ${policies.applied.length} policies applied before until they're fixed`);
+    applied = policies.applied;
+  }
+  policies = { valid: valid, invalid: invalid, applied: applied };
+  return policies;
+}
+
+/**
+ * List the running containers to capture, monitor containers excluded.
+ * The containers carry their labels, so their capture settings can be resolved without querying them again.
+ */
+async function loggedContainers() {
+  const current = await loadedPolicies();
+  if(current.applied.length == 0) {
+    return legacyLoggedContainers();
+  }
+  const result = await query(`
+    ${PREFIXES}
+    SELECT DISTINCT ?uri ?id ?image ?name ?key ?value
+    FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+    WHERE {
+      ?uri a docker:Container;
+           docker:id ?id;
+           docker:name ?name;
+           docker:image ?image;
+           docker:state/docker:status "running".
+      OPTIONAL {
+        ?uri docker:label ?label.
+        ?label docker:key ?key;
+               docker:value ?value.
+      }
+    }
+  `);
+  const containers = {};
+  for(let binding of result.results.bindings) {
+    const uri = binding["uri"].value;
+    containers[uri] = containers[uri] || {
+      uri: uri,
+      id: binding["id"].value,
+      name: binding["name"].value,
+      image: binding["image"].value,
+      labels: {}
+    };
+    if(binding["key"]) {
+      containers[uri].labels[binding["key"].value] = binding["value"] ? binding["value"].value : "";
+    }
+  }
+  return Object.values(containers)
+    .filter((container) => container.labels[MONITOR_LABEL] === undefined && matchPolicy(current.applied, container, container.labels))
+    .map((container) => ({ uri: container.uri, id: container.id, image: container.image, name: container.name, labels: container.labels }));
+}
+
+/**
+ * Returns the URIs of the given containers which are captured, in one query. Monitor containers are never captured.
+ */
+async function loggedUris(containers) {
+  if(containers.length == 0) {
+    return new Set();
+  }
+  const current = await loadedPolicies();
+  const uris = containers.map((container) => sparqlEscapeUri(container.uri)).join(" ");
+  if(current.applied.length == 0) {
+    // The CAPTURE_CONTAINER_FILTER environment variable needs the URI of the container bound as ?uri.
+    const result = await query(`
+      ${PREFIXES}
+      SELECT DISTINCT ?uri
+      FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+      WHERE {
+        VALUES ?uri { ${uris} }
+        ?uri a docker:Container.
+        ${CAPTURE_CONTAINER_FILTER}
+      }
+    `);
+    return new Set(result.results.bindings.map((binding) => binding["uri"].value));
+  }
+  const labels = await labelsOf(uris);
+  return new Set(containers
+                 .filter((container) => {
+                   const containerLabels = labels[container.uri] || {};
+                   return containerLabels[MONITOR_LABEL] === undefined && matchPolicy(current.applied, container, containerLabels);
+                 })
+                 .map((container) => container.uri));
+}
+
+/**
+ * Returns the policy whose settings apply to the container with the given labels,
+ * or null if no policy matches or CAPTURE_CONTAINER_FILTER is used.
+ */
+async function match(container, labels) {
+  const current = await loadedPolicies();
+  return matchPolicy(current.applied, container, labels);
+}
+
+/**
+ * Whether the given delta changesets touch capture policies: a policy is typed, a known policy changes,
+ * or a predicate only policies have is used.
+ */
+function isPolicyChange(changesets) {
+  const known = new Set(policies ? policies.valid.concat(policies.invalid).map((policy) => policy.uri) : []);
+  const policyPredicates = ["labels", "image", "namePattern", "composeProject", "priority"].map((key) => `${LOGGER}${PREDICATES[key]}`);
+  return changesets.some((changeset) => {
+    return (changeset.inserts || []).concat(changeset.deletes || []).some((triple) => {
+      return triple.object.value == POLICY_TYPE
+        || known.has(triple.subject.value)
+        || policyPredicates.includes(triple.predicate.value);
+    });
+  });
+}
+
+/**
+ * GET /capture-policies
+ * Lists the valid policies in the order they're applied, and the invalid policies with their errors.
+ */
+async function listPolicies(req, res) {
+  try {
+    const current = await refresh();
+    res.status(200).send({
+      data: current.valid.map(serialize),
+      invalid: current.invalid.map((policy) => Object.assign(serialize(policy), { errors: policy.errors }))
+    });
+  } catch(error) {
+    console.error("ERROR: Failed to list capture policies");
+    console.error(error);
+    sendError(res, 500, "Failed to list capture policies");
+  }
+}
+
+/**
+ * POST /capture-policies
+ * Creates a policy from a JSON body like the ones listed by GET /capture-policies.
+ * Responds 400 with the validation errors for an invalid policy.
+ */
+async function createPolicy(req, res) {
+  if(rejectInDryRun(res)) {
+    return;
+  }
+  const body = req.body || {};
+  const policy = {
+    labels: body.labels === undefined ? [] : body.labels,
+    image: body.image || null,
+    namePattern: body.namePattern || null,
+    composeProject: body.composeProject || null,
+    priority: body.priority === undefined ? 0 : body.priority,
+    listenPorts: null,
+    maxMessageSize: null,
+    logstashUrl: null,
+    profile: null,
+    schedule: null,
+    scheduleDuration: null,
+    sampleSize: null
+  };
+  const settings = body.settings || {};
+  for(let key of ["maxMessageSize", "logstashUrl", "profile", "schedule", "scheduleDuration", "sampleSize"]) {
+    if(settings[key] !== undefined && settings[key] !== null) {
+      policy[key] = settings[key];
+    }
+  }
+  if(settings.listenPorts !== undefined && settings.listenPorts !== null) {
+    policy.listenPorts = parsePorts(`${settings.listenPorts}`) || `${settings.listenPorts}`;
+  }
+  const errors = validate(policy);
+  if(errors.length > 0) {
+    sendError(res, 400, `Invalid capture policy: ${errors.join("; ")}`);
+    return;
+  }
+
+  try {
+    const id = uuid();
+    const uri = `http://mu.semte.ch/capture-policies/${id}`;
+    const triples = [
+      `${sparqlEscapeUri(uri)} a logger:CapturePolicy; mu:uuid ${sparqlEscapeString(id)}; logger:priority ${sparqlEscapeInt(policy.priority)}.`
+    ];
+    for(let label of policy.labels) {
+      triples.push(`${sparqlEscapeUri(uri)} logger:matchLabel ${sparqlEscapeString(label)}.`);
+    }
+    for(let key of ["image", "namePattern", "composeProject", "listenPorts", "logstashUrl", "profile", "schedule"]) {
+      if(policy[key] != null) {
+        triples.push(`${sparqlEscapeUri(uri)} logger:${PREDICATES[key]} ${sparqlEscapeString(policy[key])}.`);
+      }
+    }
+    for(let key of ["maxMessageSize", "scheduleDuration", "sampleSize"]) {
+      if(policy[key] != null) {
+        triples.push(`${sparqlEscapeUri(uri)} logger:${PREDICATES[key]} ${sparqlEscapeInt(policy[key])}.`);
+      }
+    }
+    await update(`
+      ${PREFIXES}
+      INSERT DATA {
+        GRAPH ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)} {
+          ${triples.join("\n          ")}
+        }
+      }
+    `);
+    await refresh();
+    res.status(201).send({ data: serialize(Object.assign({ uri: uri, id: id }, policy)) });
+  } catch(error) {
+    console.error("ERROR: Failed to create capture policy");
+    console.error(error);
+    sendError(res, 500, "Failed to create capture policy");
+  }
+}
+
+/**
+ * DELETE /capture-policies/:id
+ */
+async function deletePolicy(req, res) {
+  if(rejectInDryRun(res)) {
+    return;
+  }
+  try {
+    const current = await refresh();
+    const policy = current.valid.concat(current.invalid).find((policy) => policy.id == req.params.id);
+    if(policy == null) {
+      sendError(res, 404, `Capture policy ${req.params.id} not found`);
+      return;
+    }
+    await update(`
+      DELETE WHERE {
+        GRAPH ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)} {
+          ${sparqlEscapeUri(policy.uri)} ?p ?o.
+        }
+      }
+    `);
+    await refresh();
+    res.status(204).end();
+  } catch(error) {
+    console.error("ERROR: Failed to delete capture policy");
+    console.error(error);
+    sendError(res, 500, "Failed to delete capture policy");
+  }
+}
+
+async function loadedPolicies() {
+  return policies || await refresh();
+}
+
+function matchPolicy(candidates, container, labels) {
+  return candidates.find((policy) => matches(policy, container, labels)) || null;
+}
+
+/**
+ * Whether the container with the given labels meets all criteria of the policy.
+ */
+function matches(policy, container, labels) {
+  if(!matchesSelector(labels, policy.labels))
+    return false;
+  if(policy.imageRegExp && !policy.imageRegExp.test(container.image))
+    return false;
+  if(policy.nameRegExp && !policy.nameRegExp.test(container.name))
+    return false;
+  if(policy.composeProject && labels["com.docker.compose.project"] != policy.composeProject)
+    return false;
+  return true;
+}
+
+/**
+ * Convert the values of a policy resource, by predicate name, to policy attributes.
+ * Returns the policy and the errors for predicates which have more than one value.
+ */
+function fromValues(values) {
+  const errors = [];
+  const single = (name) => {
+    const list = values[name] || [];
+    if(list.length > 1) {
+      errors.push(`logger:${name} has ${list.length} values`);
+    }
+    return list.length > 0 ? list[0] : null;
+  };
+  const priority = single(PREDICATES.priority);
+  const maxMessageSize = single(PREDICATES.maxMessageSize);
+  const scheduleDuration = single(PREDICATES.scheduleDuration);
+  const sampleSize = single(PREDICATES.sampleSize);
+  return {
+    errors: errors,
+    policy: {
+      labels: values[PREDICATES.labels] || [],
+      image: single(PREDICATES.image),
+      namePattern: single(PREDICATES.namePattern),
+      composeProject: single(PREDICATES.composeProject),
+      priority: priority == null ? 0 : Number(priority),
+      listenPorts: single(PREDICATES.listenPorts),
+      maxMessageSize: maxMessageSize == null ? null : Number(maxMessageSize),
+      logstashUrl: single(PREDICATES.logstashUrl),
+      profile: single(PREDICATES.profile),
+      schedule: single(PREDICATES.schedule),
+      scheduleDuration: scheduleDuration == null ? null : Number(scheduleDuration),
+      sampleSize: sampleSize == null ? null : Number(sampleSize)
+    }
+  };
+}
+
+/**
+ * Returns the problems with the given policy, an empty list if it's valid.
+ */
+function validate(policy) {
+  const errors = [];
+  if(!Array.isArray(policy.labels) || policy.labels.some((label) => typeof label != "string" || label.trim().length == 0 || label.startsWith("="))) {
+    errors.push("labels must be a list of \"key\" or \"key=value\" selectors");
+  }
+  if((!Array.isArray(policy.labels) || policy.labels.length == 0) && !policy.image && !policy.namePattern && !policy.composeProject) {
+    errors.push("a policy needs at least one of labels, image, namePattern or composeProject to match on");
+  }
+  for(let key of ["image", "namePattern", "composeProject", "logstashUrl", "profile", "schedule"]) {
+    if(policy[key] != null && (typeof policy[key] != "string" || policy[key].trim().length == 0)) {
+      errors.push(`${key} must be a non-empty string`);
+    }
+  }
+  if(typeof policy.namePattern == "string") {
+    try {
+      new RegExp(policy.namePattern);
+    } catch(error) {
+      errors.push(`namePattern is not a valid regular expression: ${error.message}`);
+    }
+  }
+  if(!Number.isInteger(policy.priority)) {
+    errors.push("priority must be an integer");
+  }
+  if(policy.listenPorts != null && (typeof policy.listenPorts != "string" || parsePorts(policy.listenPorts) == null)) {
+    errors.push(`listenPorts "${policy.listenPorts}" is not a list of ports`);
+  }
+  if(policy.maxMessageSize != null && !(Number.isInteger(policy.maxMessageSize) && policy.maxMessageSize > 0)) {
+    errors.push("maxMessageSize must be a positive integer");
+  }
+  if(typeof policy.profile == "string" && !profiles.exists(policy.profile)) {
+    errors.push(`profile ${policy.profile} does not exist`);
+  }
+  if(typeof policy.schedule == "string" && parseSchedule(policy.schedule) == null) {
+    errors.push(`schedule "${policy.schedule}" is not a cron expression of 5 fields`);
+  }
+  if(policy.scheduleDuration != null && !(Number.isInteger(policy.scheduleDuration) && policy.scheduleDuration > 0 && policy.scheduleDuration <= MAX_WINDOW)) {
+    errors.push(`scheduleDuration must be a number of seconds between 1 and ${MAX_WINDOW}`);
+  }
+  if(policy.sampleSize != null && !(Number.isInteger(policy.sampleSize) && policy.sampleSize > 0)) {
+    errors.push("sampleSize must be a positive integer");
+  }
+  return errors;
+}
+
+function serialize(policy) {
+  return {
+    id: policy.id,
+    uri: policy.uri,
+    labels: policy.labels,
+    image: policy.image,
+    namePattern: policy.namePattern,
+    composeProject: policy.composeProject,
+    priority: policy.priority,
+    settings: {
+      listenPorts: policy.listenPorts,
+      maxMessageSize: policy.maxMessageSize,
+      logstashUrl: policy.logstashUrl,
+      profile: policy.profile,
+      schedule: policy.schedule,
+      scheduleDuration: policy.scheduleDuration,
+      sampleSize: policy.sampleSize
+    }
+  };
+}
+
+/**
+ * Compile the image and name criteria of a valid policy once, rather than for every container on every sync.
+ */
+function compile(policy) {
+  return {
+    imageRegExp: policy.image ? globToRegExp(policy.image) : null,
+    nameRegExp: policy.namePattern ? new RegExp(policy.namePattern) : null
+  };
+}
+
+function globToRegExp(glob) {
+  return new RegExp(`^${glob.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join(".*")}$`);
+}
+
+/**
+ * Fetch the labels of the given containers, as key-value objects by container URI.
+ */
+async function labelsOf(uris) {
+  const result = await query(`
+    ${PREFIXES}
+    SELECT ?uri ?key ?value
+    FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+    WHERE {
+      VALUES ?uri { ${uris} }
+      ?uri docker:label ?label.
+      ?label docker:key ?key;
+             docker:value ?value.
+    }
+  `);
+  const labels = {};
+  for(let binding of result.results.bindings) {
+    const uri = binding["uri"].value;
+    labels[uri] = labels[uri] || {};
+    labels[uri][binding["key"].value] = binding["value"].value;
+  }
+  return labels;
+}
+
+/**
+ * The running containers matching CAPTURE_CONTAINER_FILTER, with their labels, used as long as there are no policies.
+ */
+async function legacyLoggedContainers() {
+  const result = await query(`
+        ${PREFIXES}
+        SELECT DISTINCT ?uri ?id ?image ?name
+        FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+        WHERE {
+          ?uri a docker:Container;
+               docker:id ?id;
+               docker:name ?name;
+               docker:image ?image;
+               docker:state/docker:status "running".
+        ${CAPTURE_CONTAINER_FILTER}
+        FILTER(NOT EXISTS {
+            ?uri docker:label/docker:key "mu.semte.ch.networkMonitor".
+          })
+        }
+    `);
+  if(result.results.bindings.length == 0) {
+    return [];
+  }
+  const labels = await labelsOf(result.results.bindings.map((binding) => sparqlEscapeUri(binding["uri"].value)).join(" "));
+  return result.results.bindings.map((binding) => ({
+    uri: binding["uri"].value,
+    id: binding["id"].value,
+    image: binding["image"].value,
+    name: binding["name"].value,
+    labels: labels[binding["uri"].value] || {}
+  }));
+}
@@ -0,0 +1,175 @@
+import { CAPTURE_SAMPLE_ROTATION } from './environment';
+import { captureSettings } from './capture-settings';
+import captureSessions from './capture-sessions';
+
+// Capture windows and sampling limit when a logged container actually gets a monitor.
+// - schedule: cron expression (minute hour day-of-month month day-of-week) of the moments a capture window opens,
+//   in the local time of the service. Each window lasts scheduleDuration seconds, one minute by default,
+//   so "0 * * * *" with a duration of 300 captures 5 minutes every hour and "* 9-17 * * 1-5" captures business hours.
+// - sampleSize: number of replicas of the compose service captured at a time. The captured replicas rotate
+//   every CAPTURE_SAMPLE_ROTATION milliseconds, so over time every replica gets its turn.
+// Both are capture settings, set through a capture policy or labels on the container.
+// The sync opens and closes the windows, so they're as precise as CAPTURE_SYNC_INTERVAL.
+
+export const DEFAULT_WINDOW = 60;
+export const MAX_WINDOW = 7 * 24 * 3600;
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+export default {
+  select,
+  isScheduled
+};
+
+/**
+ * Returns the given logged containers which should be captured at the given time,
+ * according to their schedule and sampling settings.
+ */
+async function select(containers, now = new Date()) {
+  const entries = [];
+  for(let container of containers) {
+    const settings = await captureSettings(container);
+    if(settings.schedule && !inWindow(parseSchedule(settings.schedule), settings.scheduleDuration, now)) {
+      continue;
+    }
+    entries.push({ container: container, settings: settings });
+  }
+
+  // Sample the replicas of every compose service with a sample size
+  const services = {};
+  for(let entry of entries.filter((entry) => entry.settings.sampleSize && entry.settings.composeService)) {
+    const key = `${entry.settings.composeProject}/${entry.settings.composeService}`;
+    services[key] = (services[key] || []).concat([entry]);
+  }
+  const skipped = new Set();
+  const rotation = Math.floor(now.getTime() / CAPTURE_SAMPLE_ROTATION);
+  for(let replicas of Object.values(services)) {
+    replicas.sort((a, b) => a.container.name.localeCompare(b.container.name));
+    const size = Math.min(Math.max(...replicas.map((entry) => entry.settings.sampleSize)), replicas.length);
+    const start = (rotation * size) % replicas.length;
+    replicas.forEach((entry, index) => {
+      if((index - start + replicas.length) % replicas.length >= size) {
+        skipped.add(entry.container.uri);
+      }
+    });
+  }
+  return entries.filter((entry) => !skipped.has(entry.container.uri)).map((entry) => entry.container);
+}
+
+/**
+ * Whether capture of the container depends on a schedule or sampling, and no capture session overrides them.
+ * Monitors of such containers are only created by the sync, which knows the time windows and all replicas.
+ */
+async function isScheduled(container) {
+  if(captureSessions.activeSession(container.uri) != null) {
+    return false;
+  }
+  const settings = await captureSettings(container);
+  return settings.schedule != null || (settings.sampleSize != null && settings.composeService != null);
+}
+
+/**
+ * Parse a cron expression of 5 fields: minute, hour, day of month, month and day of week.
+ * A field is a comma separated list of "*", values and ranges ("9-17"), optionally with a step ("*\/15").
+ * Returns the allowed values of every field, or null if the expression is invalid.
+ */
+export function parseSchedule(expression) {
+  const parts = `${expression}`.trim().split(/\s+/);
+  if(parts.length != FIELDS.length) {
+    return null;
+  }
+  const fields = [];
+  for(let i = 0; i < FIELDS.length; i++) {
+    const values = parseField(parts[i], FIELDS[i]);
+    if(values == null) {
+      return null;
+    }
+    fields.push(values);
+  }
+  if(fields[4].has(7)) {
+    fields[4].add(0);
+  }
+  return {
+    expression: parts.join(" "),
+    minutes: fields[0],
+    hours: fields[1],
+    days: fields[2],
+    months: fields[3],
+    weekdays: fields[4],
+    anyDay: parts[2] == "*",
+    anyWeekday: parts[4] == "*"
+  };
+}
+
+function parseField(part, field) {
+  const values = new Set();
+  for(let item of part.split(",")) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(item);
+    if(!match) {
+      return null;
+    }
+    let from = field.min;
+    let to = field.max;
+    if(match[1] != "*") {
+      from = parseInt(match[2]);
+      to = match[3] !== undefined ? parseInt(match[3]) : (match[4] !== undefined ? field.max : from);
+    }
+    const step = match[4] !== undefined ? parseInt(match[4]) : 1;
+    if(from < field.min || to > field.max || from > to || step < 1) {
+      return null;
+    }
+    for(let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Whether the given time is within a window of duration seconds opened by the schedule.
+ */
+function inWindow(schedule, duration, now) {
+  const start = lastStart(schedule, now);
+  return start != null && start.getTime() > now.getTime() - duration * 1000;
+}
+
+/**
+ * Returns the last minute at or before the given time at which the schedule opens a window,
+ * or null if there is none within MAX_WINDOW. Goes back day by day, taking the latest hour and minute
+ * of the schedule on the first matching day, rather than testing every minute.
+ */
+function lastStart(schedule, now) {
+  const hours = [...schedule.hours].sort((a, b) => b - a);
+  const minutes = [...schedule.minutes].sort((a, b) => b - a);
+  for(let back = 0; back <= Math.ceil(MAX_WINDOW / 86400); back++) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() - back);
+    if(!matchesDay(schedule, day)) {
+      continue;
+    }
+    for(let hour of hours) {
+      if(back == 0 && hour > now.getHours()) {
+        continue;
+      }
+      const latest = back == 0 && hour == now.getHours() ? now.getMinutes() : 59;
+      const minute = minutes.find((minute) => minute <= latest);
+      if(minute !== undefined) {
+        return new Date(day.getFullYear(), day.getMonth(), day.getDate(), hour, minute);
+      }
+    }
+  }
+  return null;
+}
+
+function matchesDay(schedule, time) {
+  const day = schedule.days.has(time.getDate());
+  const weekday = schedule.weekdays.has(time.getDay());
+  // Like cron, a time matches either day field when both are restricted
+  const dayMatches = schedule.anyDay || schedule.anyWeekday ? day && weekday : day || weekday;
+  return schedule.months.has(time.getMonth() + 1) && dayMatches;
+}
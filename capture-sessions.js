@@ -0,0 +1,357 @@
+import { uuid, sparqlEscapeUri, sparqlEscapeString, sparqlEscapeDateTime } from 'mu';
+import { query, update } from './sparql';
+import { CAPTURE_DRIVER, CAPTURE_SESSION_MAX_DURATION, DRY_RUN } from './environment';
+import NetworkMonitor from './network-monitor';
+import transitions from './transitions';
+import capturePolicies from './capture-policies';
+import { parsePorts } from './capture-settings';
+import { findContainerByUuid } from './monitor-api';
+import { sendError, rejectInDryRun } from './responses';
+
+// A capture session captures a container for a limited time, e.g. while debugging an incident,
+// whether or not the container matches a capture policy. Sessions are logger:CaptureSession resources
+// with the captured container, an optional port list and the time they expire. While a session is active
+// its container counts as logged and its ports override the other capture settings.
+// When the session ends its monitor is removed, or restarted with the regular settings if a policy captures the container.
+// Active sessions are loaded again on startup, so their expiry survives restarts.
+
+const PREFIXES = `
+PREFIX logger: <http://mu.semte.ch/vocabularies/ext/docker-logger/>
+PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX docker: <https://w3.org/ns/bde/docker#>
+PREFIX dct: <http://purl.org/dc/terms/>
+`;
+
+// Active sessions by container URI: { id, uri, container, listenPorts, createdAt, expiresAt }
+const active = {};
+// Expiry timers by session id
+const timers = {};
+// Delay (ms) before expiring a session again when expiring it failed
+const EXPIRY_RETRY_DELAY = 60000;
+
+export default {
+  resume,
+  stop,
+  activeSession,
+  loggedContainers,
+  listSessions,
+  startSession,
+  endSession
+};
+
+/**
+ * Load the active sessions from the triplestore and schedule their expiry.
+ * Sessions which expired while the service was down are ended right away.
+ */
+async function resume() {
+  const result = await query(`
+    ${PREFIXES}
+    SELECT DISTINCT ?uri ?id ?container ?containerId ?name ?image ?listenPorts ?created ?expires
+    FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+    WHERE {
+      ?uri a logger:CaptureSession;
+           mu:uuid ?id;
+           logger:status "active";
+           logger:captures ?container;
+           dct:created ?created;
+           logger:expiresAt ?expires.
+      OPTIONAL { ?uri logger:listenPorts ?listenPorts. }
+      OPTIONAL {
+        ?container docker:id ?containerId;
+                   docker:name ?name;
+                   docker:image ?image.
+      }
+    }
+  `);
+  for(let binding of result.results.bindings) {
+    const session = {
+      id: binding["id"].value,
+      uri: binding["uri"].value,
+      container: {
+        uri: binding["container"].value,
+        id: binding["containerId"] ? binding["containerId"].value : null,
+        name: binding["name"] ? binding["name"].value : binding["container"].value,
+        image: binding["image"] ? binding["image"].value : null
+      },
+      listenPorts: binding["listenPorts"] ? binding["listenPorts"].value : null,
+      createdAt: new Date(binding["created"].value),
+      expiresAt: new Date(binding["expires"].value)
+    };
+    active[session.container.uri] = session;
+    scheduleExpiry(session);
+  }
+  console.log(`Resumed ${result.results.bindings.length} active capture sessions`);
+}
+
+/**
+ * Stop the expiry timers, used on shutdown. The sessions stay active in the triplestore.
+ */
+function stop() {
+  for(let id of Object.keys(timers)) {
+    clearTimeout(timers[id]);
+    delete timers[id];
+  }
+}
+
+/**
+ * Returns the active session of the given container, or null.
+ */
+function activeSession(containerUri) {
+  return active[containerUri] || null;
+}
+
+/**
+ * Returns the running containers with an active session which are not in the given list of logged containers.
+ */
+async function loggedContainers(logged = []) {
+  const uris = Object.keys(active).filter((uri) => !logged.some((container) => container.uri == uri));
+  if(uris.length == 0) {
+    return [];
+  }
+  const result = await query(`
+    ${PREFIXES}
+    SELECT DISTINCT ?uri ?id ?name ?image
+    FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+    WHERE {
+      VALUES ?uri { ${uris.map(sparqlEscapeUri).join(" ")} }
+      ?uri a docker:Container;
+           docker:id ?id;
+           docker:name ?name;
+           docker:image ?image;
+           docker:state/docker:status "running".
+    }
+  `);
+  return result.results.bindings.map((binding) => ({
+    uri: binding["uri"].value,
+    id: binding["id"].value,
+    name: binding["name"].value,
+    image: binding["image"].value
+  }));
+}
+
+/**
+ * GET /capture-sessions
+ * Lists the capture sessions, newest first, optionally filtered on ?status= (active, expired or ended).
+ */
+async function listSessions(req, res) {
+  try {
+    const result = await query(`
+      ${PREFIXES}
+      SELECT DISTINCT ?uri ?id ?status ?container ?listenPorts ?created ?expires ?ended
+      FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+      WHERE {
+        ?uri a logger:CaptureSession;
+             mu:uuid ?id;
+             logger:status ?status;
+             logger:captures ?container;
+             dct:created ?created;
+             logger:expiresAt ?expires.
+        ${req.query.status ? `FILTER(?status = ${sparqlEscapeString(req.query.status)})` : ''}
+        OPTIONAL { ?uri logger:listenPorts ?listenPorts. }
+        OPTIONAL { ?uri logger:endedAt ?ended. }
+      }
+      ORDER BY DESC(?created)
+    `);
+    const data = result.results.bindings.map((binding) => ({
+      id: binding["id"].value,
+      uri: binding["uri"].value,
+      status: binding["status"].value,
+      container: binding["container"].value,
+      listenPorts: binding["listenPorts"] ? binding["listenPorts"].value : null,
+      createdAt: binding["created"].value,
+      expiresAt: binding["expires"].value,
+      endedAt: binding["ended"] ? binding["ended"].value : null
+    }));
+    res.status(200).send({ data: data });
+  } catch(error) {
+    console.error("ERROR: Failed to list capture sessions");
+    console.error(error);
+    sendError(res, 500, "Failed to list capture sessions");
+  }
+}
+
+/**
+ * POST /containers/:uuid/capture-sessions
+ * Starts capturing the container for duration seconds, optionally on the given ports.
+ * Body: { duration, ports }, ports as an array or a comma separated string.
+ */
+async function startSession(req, res) {
+  if(CAPTURE_DRIVER == "docker") {
+    sendError(res, 501, "Capture sessions are not available with the docker capture driver");
+    return;
+  }
+  if(rejectInDryRun(res)) {
+    return;
+  }
+  const body = req.body || {};
+  const duration = body.duration;
+  if(!Number.isInteger(duration) || duration <= 0 || duration > CAPTURE_SESSION_MAX_DURATION) {
+    sendError(res, 400, `Invalid capture session: duration must be a number of seconds between 1 and ${CAPTURE_SESSION_MAX_DURATION}`);
+    return;
+  }
+  let listenPorts = null;
+  if(body.ports != null) {
+    listenPorts = parsePorts(Array.isArray(body.ports) ? body.ports.join(",") : `${body.ports}`);
+    if(listenPorts == null) {
+      sendError(res, 400, "Invalid capture session: ports must be a list of port numbers");
+      return;
+    }
+  }
+
+  try {
+    const container = await findContainerByUuid(req.params.uuid);
+    if(container == null) {
+      sendError(res, 404, `Container ${req.params.uuid} not found`);
+      return;
+    }
+    const current = activeSession(container.uri);
+    if(current != null) {
+      sendError(res, 409, `Container ${req.params.uuid} already has an active capture session ${current.id}`);
+      return;
+    }
+
+    const id = uuid();
+    const now = new Date();
+    const session = {
+      id: id,
+      uri: `http://mu.semte.ch/capture-sessions/${id}`,
+      container: container,
+      listenPorts: listenPorts,
+      createdAt: now,
+      expiresAt: new Date(now.getTime() + duration * 1000)
+    };
+    await update(`
+      ${PREFIXES}
+      INSERT DATA {
+        GRAPH ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)} {
+          ${sparqlEscapeUri(session.uri)} a logger:CaptureSession;
+                                          mu:uuid ${sparqlEscapeString(id)};
+                                          logger:status "active";
+                                          logger:captures ${sparqlEscapeUri(container.uri)};
+                                          dct:created ${sparqlEscapeDateTime(session.createdAt)};
+                                          logger:expiresAt ${sparqlEscapeDateTime(session.expiresAt)}.
+          ${listenPorts ? `${sparqlEscapeUri(session.uri)} logger:listenPorts ${sparqlEscapeString(listenPorts)}.` : ''}
+        }
+      }
+    `);
+    active[container.uri] = session;
+    scheduleExpiry(session);
+    console.log(`Started capture session ${id} for ${container.name} until ${session.expiresAt.toISOString()}`);
+
+    const monitor = await NetworkMonitor.findByLoggedContainer(container.uri);
+    if(monitor == null) {
+      transitions.enqueue(container, null, transitions.createMonitor, { reason: "session" });
+    } else if(listenPorts && listenPorts != (await NetworkMonitor.find(monitor.id)).listenPorts) { // findByLoggedContainer doesn't load the settings
+      transitions.enqueue(container, monitor, transitions.restartMonitor, { reason: "session" }); // Capture the session's ports
+    }
+    res.status(201).send({ data: serialize(session, "active") });
+  } catch(error) {
+    console.error(`ERROR: Failed to start capture session for container ${req.params.uuid}`);
+    console.error(error);
+    sendError(res, 500, `Failed to start capture session for container ${req.params.uuid}`);
+  }
+}
+
+/**
+ * DELETE /capture-sessions/:id
+ * Ends an active session before it expires.
+ */
+async function endSession(req, res) {
+  if(rejectInDryRun(res)) {
+    return;
+  }
+  const session = Object.values(active).find((session) => session.id == req.params.id);
+  if(session == null) {
+    sendError(res, 404, `Active capture session ${req.params.id} not found`);
+    return;
+  }
+  try {
+    await finish(session, "ended");
+    res.status(204).end();
+  } catch(error) {
+    console.error(`ERROR: Failed to end capture session ${req.params.id}`);
+    console.error(error);
+    if(activeSession(session.container.uri) == session && timers[session.id] == null) {
+      scheduleExpiry(session); // Still active, it expires as planned
+    }
+    sendError(res, 500, `Failed to end capture session ${req.params.id}`);
+  }
+}
+
+/**
+ * Expire the session when its time is up, but not sooner than minDelay milliseconds from now.
+ * A failed expiry is retried after EXPIRY_RETRY_DELAY as long as the session is still active.
+ */
+function scheduleExpiry(session, minDelay = 0) {
+  // setTimeout can't wait longer than about 24 days, check again by then
+  const delay = Math.min(Math.max(session.expiresAt.getTime() - Date.now(), minDelay), 2147483647);
+  timers[session.id] = setTimeout(() => {
+    delete timers[session.id];
+    if(session.expiresAt.getTime() > Date.now()) {
+      scheduleExpiry(session);
+      return;
+    }
+    finish(session, "expired").catch((error) => {
+      console.error(`ERROR: Failed to expire capture session ${session.id}`);
+      console.error(error);
+      if(activeSession(session.container.uri) == session) {
+        console.log(`Expiring capture session ${session.id} again in ${EXPIRY_RETRY_DELAY}ms`);
+        scheduleExpiry(session, EXPIRY_RETRY_DELAY);
+      }
+    });
+  }, delay);
+}
+
+/**
+ * Mark the session as expired or ended, and remove its monitor unless a policy captures the container.
+ * A monitor that keeps running is restarted if the session changed its ports.
+ * The session stays active in memory until it's marked in the triplestore.
+ */
+async function finish(session, status) {
+  clearTimeout(timers[session.id]);
+  delete timers[session.id];
+  if(DRY_RUN) {
+    console.log(`Dry run: not marking capture session ${session.id} for ${session.container.name} as ${status}`);
+    return;
+  }
+  await update(`
+    ${PREFIXES}
+    WITH ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+    DELETE {
+      ${sparqlEscapeUri(session.uri)} logger:status ?status.
+    }
+    INSERT {
+      ${sparqlEscapeUri(session.uri)} logger:status ${sparqlEscapeString(status)};
+                                      logger:endedAt ${sparqlEscapeDateTime(new Date())}.
+    }
+    WHERE {
+      ${sparqlEscapeUri(session.uri)} logger:status ?status.
+    }
+  `);
+  delete active[session.container.uri];
+  console.log(`Capture session ${session.id} for ${session.container.name} ${status}`);
+
+  const monitor = await NetworkMonitor.findByLoggedContainer(session.container.uri);
+  if(monitor == null) {
+    return;
+  }
+  const logged = await capturePolicies.loggedUris([session.container]);
+  if(!logged.has(session.container.uri)) {
+    transitions.enqueue(session.container, monitor, transitions.removeMonitor, { reason: "session" });
+  } else if(session.listenPorts) {
+    transitions.enqueue(session.container, monitor, transitions.restartMonitor, { reason: "session" }); // Back to the regular settings
+  }
+}
+
+function serialize(session, status) {
+  return {
+    id: session.id,
+    uri: session.uri,
+    status: status,
+    container: session.container.uri,
+    listenPorts: session.listenPorts,
+    createdAt: session.createdAt.toISOString(),
+    expiresAt: session.expiresAt.toISOString(),
+    endedAt: null
+  };
+}
@@ -0,0 +1,222 @@
+import { sparqlEscapeUri, sparqlEscapeString } from 'mu';
+import { query } from './sparql';
+import {
+  PACKETBEAT_LISTEN_PORTS,
+  PACKETBEAT_MAX_MESSAGE_SIZE,
+  MONITOR_PROFILE,
+  MONITOR_CPU_LIMIT,
+  MONITOR_MEMORY_LIMIT,
+  MONITOR_PIDS_LIMIT,
+  CAPTURE_DRIVER
+} from './environment';
+import profiles from './profiles';
+import logSinks from './log-sinks';
+import capturePolicies from './capture-policies';
+import captureSessions from './capture-sessions';
+import { parseSchedule, DEFAULT_WINDOW, MAX_WINDOW } from './capture-schedule';
+
+// Labels on the logged container which override the capture defaults from the environment.
+export const PORTS_LABEL = "logging.ports";
+export const MAX_MESSAGE_SIZE_LABEL = "logging.max-message-size";
+export const LOGSTASH_URL_LABEL = "logging.logstash-url";
+export const PROFILE_LABEL = "logging.profile";
+export const CPU_LIMIT_LABEL = "logging.cpus";
+export const MEMORY_LIMIT_LABEL = "logging.memory";
+export const PIDS_LIMIT_LABEL = "logging.pids-limit";
+export const SCHEDULE_LABEL = "logging.schedule";
+export const SCHEDULE_DURATION_LABEL = "logging.schedule-duration";
+export const SAMPLE_LABEL = "logging.sample";
+
+const DEFAULT_MEMORY_LIMIT = MONITOR_MEMORY_LIMIT ? parseMemory(MONITOR_MEMORY_LIMIT) : null;
+if(MONITOR_MEMORY_LIMIT && !DEFAULT_MEMORY_LIMIT) {
+  throw new Error(`Invalid MONITOR_MEMORY_LIMIT "${MONITOR_MEMORY_LIMIT}"`);
+}
+
+/**
+ * Resolve the capture settings for the given container.
+ * The ports of an active capture session take precedence over values set through labels on the container,
+ * which take precedence over the settings of the matching capture policy, which take precedence over the environment defaults.
+ * The logstash URL defaults to the log sink routed to for the container.
+ * networks are the networks the logged container joins for its monitor: those of the profile,
+ * and those of the log sink if the profile ships to a sink.
+ * Invalid label values are ignored with a warning.
+ * Containers coming from the docker driver carry their labels, others get them from the triplestore.
+ */
+export async function captureSettings(container) {
+  const labels = container.labels ? container.labels : await getContainerLabels(container);
+  const sink = logSinks.resolve(labels);
+  const settings = {
+    listenPorts: PACKETBEAT_LISTEN_PORTS || null,
+    maxMessageSize: PACKETBEAT_MAX_MESSAGE_SIZE || null,
+    logstashUrl: sink.logstashUrl,
+    profile: MONITOR_PROFILE,
+    cpuLimit: MONITOR_CPU_LIMIT || null,
+    memoryLimit: DEFAULT_MEMORY_LIMIT,
+    pidsLimit: MONITOR_PIDS_LIMIT || null,
+    schedule: null,
+    scheduleDuration: DEFAULT_WINDOW,
+    sampleSize: null,
+    composeService: labels["com.docker.compose.service"] || null,
+    composeProject: labels["com.docker.compose.project"] || null
+  };
+
+  const policy = CAPTURE_DRIVER == "docker" ? null : await capturePolicies.match(container, labels);
+  if(policy) {
+    for(let key of ["listenPorts", "maxMessageSize", "logstashUrl", "profile", "schedule", "scheduleDuration", "sampleSize"]) {
+      if(policy[key] != null) {
+        settings[key] = policy[key];
+      }
+    }
+  }
+
+  if(labels[PORTS_LABEL]) {
+    const ports = parsePorts(labels[PORTS_LABEL]);
+    if(ports) {
+      settings.listenPorts = ports;
+    } else {
+      console.warn(`Ignoring invalid ${PORTS_LABEL} label "${labels[PORTS_LABEL]}" on ${container.name}`);
+    }
+  }
+  if(labels[MAX_MESSAGE_SIZE_LABEL]) {
+    const size = parseInt(labels[MAX_MESSAGE_SIZE_LABEL]);
+    if(size > 0 && `${size}` == labels[MAX_MESSAGE_SIZE_LABEL].trim()) {
+      settings.maxMessageSize = size;
+    } else {
+      console.warn(`Ignoring invalid ${MAX_MESSAGE_SIZE_LABEL} label "${labels[MAX_MESSAGE_SIZE_LABEL]}" on ${container.name}`);
+    }
+  }
+  if(labels[LOGSTASH_URL_LABEL]) {
+    settings.logstashUrl = labels[LOGSTASH_URL_LABEL].trim();
+  }
+  if(labels[PROFILE_LABEL]) {
+    if(profiles.exists(labels[PROFILE_LABEL].trim())) {
+      settings.profile = labels[PROFILE_LABEL].trim();
+    } else {
+      console.warn(`Ignoring unknown ${PROFILE_LABEL} label "${labels[PROFILE_LABEL]}" on ${container.name}`);
+    }
+  }
+  if(labels[CPU_LIMIT_LABEL]) {
+    const cpus = parseFloat(labels[CPU_LIMIT_LABEL]);
+    if(cpus > 0 && /^\d*\.?\d+$/.test(labels[CPU_LIMIT_LABEL].trim())) {
+      settings.cpuLimit = cpus;
+    } else {
+      console.warn(`Ignoring invalid ${CPU_LIMIT_LABEL} label "${labels[CPU_LIMIT_LABEL]}" on ${container.name}`);
+    }
+  }
+  if(labels[MEMORY_LIMIT_LABEL]) {
+    const memory = parseMemory(labels[MEMORY_LIMIT_LABEL]);
+    if(memory) {
+      settings.memoryLimit = memory;
+    } else {
+      console.warn(`Ignoring invalid ${MEMORY_LIMIT_LABEL} label "${labels[MEMORY_LIMIT_LABEL]}" on ${container.name}`);
+    }
+  }
+  if(labels[PIDS_LIMIT_LABEL]) {
+    const pids = parseInt(labels[PIDS_LIMIT_LABEL]);
+    if(pids > 0 && `${pids}` == labels[PIDS_LIMIT_LABEL].trim()) {
+      settings.pidsLimit = pids;
+    } else {
+      console.warn(`Ignoring invalid ${PIDS_LIMIT_LABEL} label "${labels[PIDS_LIMIT_LABEL]}" on ${container.name}`);
+    }
+  }
+
+  if(labels[SCHEDULE_LABEL]) {
+    if(parseSchedule(labels[SCHEDULE_LABEL])) {
+      settings.schedule = labels[SCHEDULE_LABEL].trim();
+    } else {
+      console.warn(`Ignoring invalid ${SCHEDULE_LABEL} label "${labels[SCHEDULE_LABEL]}" on ${container.name}`);
+    }
+  }
+  if(labels[SCHEDULE_DURATION_LABEL]) {
+    const duration = parseInt(labels[SCHEDULE_DURATION_LABEL]);
+    if(duration > 0 && duration <= MAX_WINDOW && `${duration}` == labels[SCHEDULE_DURATION_LABEL].trim()) {
+      settings.scheduleDuration = duration;
+    } else {
+      console.warn(`Ignoring invalid ${SCHEDULE_DURATION_LABEL} label "${labels[SCHEDULE_DURATION_LABEL]}" on ${container.name}`);
+    }
+  }
+  if(labels[SAMPLE_LABEL]) {
+    const size = parseInt(labels[SAMPLE_LABEL]);
+    if(size > 0 && `${size}` == labels[SAMPLE_LABEL].trim()) {
+      settings.sampleSize = size;
+    } else {
+      console.warn(`Ignoring invalid ${SAMPLE_LABEL} label "${labels[SAMPLE_LABEL]}" on ${container.name}`);
+    }
+  }
+
+  const session = captureSessions.activeSession(container.uri);
+  if(session && session.listenPorts) {
+    settings.listenPorts = session.listenPorts;
+  }
+
+  const profile = profiles.get(settings.profile);
+  settings.networks = [...new Set(profile.networks.concat(profile.sink ? sink.networks : []))];
+
+  return settings;
+}
+
+/**
+ * Parse a list of ports, either as a YAML array ("[80, 8080]") or comma separated ("80,8080").
+ * Returns the ports as a YAML array, as expected by packetbeat, or null if the value is invalid.
+ */
+export function parsePorts(value) {
+  const ports = value.trim().replace(/^\[/, '').replace(/\]$/, '')
+                     .split(',')
+                     .map((port) => port.trim())
+                     .filter((port) => port.length > 0);
+  if(ports.length == 0 || ports.some((port) => !/^\d+$/.test(port) || parseInt(port) > 65535)) {
+    return null;
+  }
+  return `[${ports.join(', ')}]`;
+}
+
+/**
+ * Parse an amount of memory in bytes, optionally with a k, m or g suffix like docker's --memory option ("256m").
+ * Returns the number of bytes, or null if the value is invalid.
+ */
+export function parseMemory(value) {
+  const match = /^(\d+)([kmg])?b?$/i.exec(value.trim());
+  if(!match) {
+    return null;
+  }
+  const multipliers = { k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+  const bytes = parseInt(match[1]) * (match[2] ? multipliers[match[2].toLowerCase()] : 1);
+  return bytes > 0 ? bytes : null;
+}
+
+/**
+ * Returns the HostConfig resource limits for the given capture settings.
+ */
+export function resourceLimits(settings) {
+  const limits = {};
+  if(settings.cpuLimit)
+    limits.NanoCpus = Math.round(settings.cpuLimit * 1e9);
+  if(settings.memoryLimit)
+    limits.Memory = settings.memoryLimit;
+  if(settings.pidsLimit)
+    limits.PidsLimit = settings.pidsLimit;
+  return limits;
+}
+
+/**
+ * Fetch all labels of the given container from the triplestore as a key-value object.
+ */
+export async function getContainerLabels(container) {
+  const result = await query(`
+    PREFIX docker: <https://w3.org/ns/bde/docker#>
+    SELECT ?key ?value
+    FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+    WHERE {
+        ?uri      a            docker:Container;
+                  docker:id    ${sparqlEscapeString(container.id)};
+                  docker:label ?labelUri.
+        ?labelUri a            docker:ContainerLabel;
+                  docker:key   ?key;
+                  docker:value ?value.
+    }`);
+  const labels = {};
+  for(let binding of result.results.bindings) {
+    labels[binding["key"].value] = binding["value"].value;
+  }
+  return labels;
+}
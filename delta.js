@@ -0,0 +1,235 @@
+import { sparqlEscapeUri } from 'mu';
+import { query } from './sparql';
+import { DELTA_DEBOUNCE_WINDOW } from './environment';
+import NetworkMonitor from './network-monitor';
+import transitions from './transitions';
+import backoff from './restart-backoff';
+import metrics from './metrics';
+import capturePolicies from './capture-policies';
+import captureSessions from './capture-sessions';
+import captureSchedule from './capture-schedule';
+import networkNamespaces from './network-namespaces';
+
+// Handling of delta notifications about docker:status changes.
+// Status changes are buffered per container state and only acted on once the state has been quiet
+// for DELTA_DEBOUNCE_WINDOW, so bursts and flapping statuses during e.g. a docker compose up
+// lead to a single transition for the final status. Ready states are looked up in one query.
+
+const STATUS_PREDICATE = "https://w3.org/ns/bde/docker#status";
+const ACTIVE_STATUSES = ["running", "created"];
+
+// Pending status changes by state URI: { status, changedAt }.
+// status is null when the status got deleted without a new status being inserted.
+const pending = {};
+let flushTimer = null;
+let accepting = true;
+let policyListener = null;
+
+export default {
+  handleDelta,
+  onPolicyChange,
+  stop
+};
+
+/**
+ * POST /.mu/delta
+ * Accepts any number of changesets. Always responds, before the changes are processed.
+ */
+function handleDelta(req, res) {
+  if(!accepting) {
+    metrics.deltaReceived("rejected");
+    res.status(503).end();
+    return;
+  }
+
+  let changes;
+  try {
+    changes = statusChanges(req.body);
+  } catch(error) {
+    console.error("ERROR: Got delta in unexpected format.");
+    console.error(req.body);
+    console.error(error);
+    metrics.deltaReceived("rejected");
+    res.status(400).end();
+    return;
+  }
+  metrics.deltaReceived("accepted");
+  res.status(200).end();
+
+  if(policyListener && capturePolicies.isPolicyChange(req.body)) {
+    console.log("Delta changed capture policies.");
+    policyListener();
+  }
+
+  console.log(`Received delta with ${Object.keys(changes).length} status changes.`);
+  const now = Date.now();
+  for(let state of Object.keys(changes)) {
+    pending[state] = { status: changes[state], changedAt: now };
+  }
+  scheduleFlush();
+}
+
+/**
+ * Register the function to call when a delta changes capture policies.
+ */
+function onPolicyChange(listener) {
+  policyListener = listener;
+}
+
+/**
+ * Stop accepting deltas and drop the pending changes, used on shutdown.
+ */
+function stop() {
+  accepting = false;
+  clearTimeout(flushTimer);
+  for(let state of Object.keys(pending)) {
+    delete pending[state];
+  }
+}
+
+/**
+ * Returns the final status of every state URI in the changesets, in order.
+ * Within a changeset deletes are applied before inserts. Deleting a status only clears it
+ * if it's the current one, so a delete of the previous status arriving after the insert of the new one is harmless.
+ */
+function statusChanges(changesets) {
+  if(!Array.isArray(changesets)) {
+    throw new Error("Delta is not an array of changesets");
+  }
+  const statuses = {};
+  for(let changeset of changesets) {
+    for(let triple of (changeset.deletes || []).filter(isStatusTriple)) {
+      const state = triple.subject.value;
+      if(statuses[state] === undefined || statuses[state] == triple.object.value) {
+        statuses[state] = null;
+      }
+    }
+    for(let triple of (changeset.inserts || []).filter(isStatusTriple)) {
+      statuses[triple.subject.value] = triple.object.value;
+    }
+  }
+  return statuses;
+}
+
+function isStatusTriple(triple) {
+  return triple.predicate.value == STATUS_PREDICATE;
+}
+
+/**
+ * Schedule a flush for when the oldest pending change has been quiet for DELTA_DEBOUNCE_WINDOW.
+ */
+function scheduleFlush() {
+  clearTimeout(flushTimer);
+  const changedAt = Object.values(pending).map((change) => change.changedAt);
+  if(changedAt.length == 0 || !accepting) {
+    return;
+  }
+  const delay = Math.max(Math.min(...changedAt) + DELTA_DEBOUNCE_WINDOW - Date.now(), 0);
+  flushTimer = setTimeout(() => {
+    flush().catch((error) => {
+      console.error("ERROR: Failed to process status changes");
+      console.error(error);
+    }).then(scheduleFlush);
+  }, delay);
+}
+
+/**
+ * Process the pending changes which have been quiet for DELTA_DEBOUNCE_WINDOW.
+ */
+async function flush() {
+  const now = Date.now();
+  const ready = {};
+  for(let state of Object.keys(pending)) {
+    if(now - pending[state].changedAt >= DELTA_DEBOUNCE_WINDOW) {
+      ready[state] = pending[state].status;
+      delete pending[state];
+    }
+  }
+  const states = Object.keys(ready);
+  if(states.length == 0) {
+    return;
+  }
+
+  const containers = await findContainersByState(states);
+  for(let state of states.filter((state) => !containers[state])) {
+    console.error(`ERROR: Could not find container for ${state}`);
+  }
+  const found = Object.keys(containers).map((state) => Object.assign(containers[state], { statusLabel: ready[state] }));
+  console.log(`Found ${found.length} containers in delta for which status got updated`);
+
+  const logged = await capturePolicies.loggedUris(found);
+  for(let container of found) {
+    try {
+      await processStatus(container, logged.has(container.uri) || captureSessions.activeSession(container.uri) != null);
+    } catch(error) {
+      console.error(`ERROR: Failed to process status ${container.statusLabel} of ${container.name}`);
+      console.error(error);
+    }
+  }
+}
+
+/**
+ * Enqueue the transition for the final status of a container.
+ */
+async function processStatus(container, isLogged) {
+  const isActive = ACTIVE_STATUSES.includes(container.statusLabel);
+  console.log(`Delta: state of ${container.id} changed to ${container.statusLabel || "deleted"}.`);
+  if(isLogged) { // If we're dealing with a container to log
+    const monitor = await NetworkMonitor.findByLoggedContainer(container.uri);
+    if(isActive) { // If the container is now running
+      if(monitor == null && (await captureSchedule.isScheduled(container) || await networkNamespaces.isShared(container))) {
+        // Only the sync knows the capture windows, samples and other containers in the network namespace
+        console.log(`Leaving monitor for ${container.name} to the sync, it's captured on a schedule, sampled or shares its network namespace.`);
+      } else if(monitor == null) { // And there is no monitor yet
+        const failedMonitor = await NetworkMonitor.findByLoggedContainer(container.uri, "failed");
+        if(failedMonitor != null && container.statusLabel == "running") { // The container restarted, give its failed monitor another chance
+          transitions.enqueue(container, failedMonitor, transitions.resetMonitor, { reason: "delta" });
+        } else {
+          transitions.enqueue(container, null, transitions.createMonitor, { reason: "delta" }); // Create a new monitor
+        }
+      }
+    } else if(monitor != null) { // The new status is a non-active status and there's still a monitor
+      transitions.enqueue(container, monitor, transitions.removeMonitor, { reason: "delta" }); // Remove it
+    }
+  } else {
+    const monitor = await NetworkMonitor.findByRunningContainer(container);
+    if(monitor != null && monitor.status == "running" && !isActive) { // A monitoring container which stopped running
+      const loggedContainer = await monitor.getLoggedContainer();
+      if(loggedContainer && !backoff.isBackingOff(loggedContainer.uri)) { // The sync picks it up once the backoff passed
+        transitions.enqueue(loggedContainer, monitor, transitions.restartMonitor, { reason: "delta" }); // Restart it
+      }
+    }
+  }
+}
+
+/**
+ * Look up the containers of the given state URIs in one query.
+ * Returns the containers by state URI, states without container are left out.
+ */
+async function findContainersByState(states) {
+  const result = await query(`
+    PREFIX docker: <https://w3.org/ns/bde/docker#>
+    SELECT DISTINCT ?state ?uri ?id ?name ?image
+    FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+    WHERE {
+      VALUES ?state { ${states.map(sparqlEscapeUri).join(" ")} }
+      ?uri a docker:Container;
+            docker:id ?id;
+            docker:name ?name;
+            docker:image ?image;
+            docker:state ?state.
+    }
+  `);
+  // Assume a State object is only associated with a single container.
+  const containers = {};
+  for(let binding of result.results.bindings) {
+    containers[binding["state"].value] = {
+      uri: binding["uri"].value,
+      id: binding["id"].value,
+      name: binding["name"].value,
+      image: binding["image"].value,
+      status: binding["state"].value
+    };
+  }
+  return containers;
+}
@@ -0,0 +1,164 @@
+import { CAPTURE_LABEL_SELECTOR } from './environment';
+import docker from './docker';
+import NetworkMonitor from './network-monitor';
+import transitions from './transitions';
+import backoff from './restart-backoff';
+import { matchesSelector } from './label-selector';
+import captureSchedule from './capture-schedule';
+import networkNamespaces from './network-namespaces';
+
+// Follows containers straight from the docker daemon instead of the triplestore.
+// Used when CAPTURE_DRIVER is set to "docker".
+
+const CONTAINER_URI_PREFIX = "http://mu.semte.ch/docker-containers/";
+const MONITOR_LABEL = "mu.semte.ch.networkMonitor";
+
+let eventStream = null;
+let watching = false;
+
+export default {
+  loggedContainers,
+  getContainer,
+  containerUri,
+  watch,
+  unwatch
+};
+
+/**
+ * List the running containers matching CAPTURE_LABEL_SELECTOR, monitor containers excluded.
+ */
+async function loggedContainers() {
+  const containers = await docker.listContainers({ filters: { label: CAPTURE_LABEL_SELECTOR, status: ["running"] } });
+  return containers
+    .filter((container) => !(container.Labels && container.Labels[MONITOR_LABEL]))
+    .map((container) => toContainer(container.Id, container.Names[0], container.Image, container.Labels || {}, container.State));
+}
+
+/**
+ * Fetch the container with the given URI from the docker daemon.
+ * A container which no longer exists is returned with status "removed", so its monitor can still be cleaned up.
+ */
+async function getContainer(uri) {
+  const id = uri.slice(CONTAINER_URI_PREFIX.length);
+  try {
+    const info = await docker.inspectContainer(docker.getContainer(id));
+    return toContainer(info.Id, info.Name, info.Config.Image, info.Config.Labels || {}, info.State.Status);
+  } catch(error) {
+    if(error.statusCode == 404) {
+      return { uri: uri, id: id, name: id, image: null, status: "removed", labels: {} };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Subscribe to the docker events stream and react to containers starting, dying and being destroyed.
+ * The subscription is restored when the stream ends, until unwatch is called.
+ */
+async function watch() {
+  watching = true;
+  while(watching) {
+    try {
+      eventStream = await docker.getEvents({ filters: { type: ["container"], event: ["start", "die", "destroy"] } });
+      console.log("Watching docker events.");
+      await consume(eventStream);
+    } catch(error) {
+      console.error("ERROR: Failed to follow docker events");
+      console.error(error);
+    }
+    eventStream = null;
+    if(watching) {
+      console.warn("Docker events stream ended, resubscribing in 1 second");
+      await new Promise((resolve) => setTimeout(resolve, 1000));
+    }
+  }
+}
+
+function unwatch() {
+  watching = false;
+  if(eventStream) {
+    eventStream.destroy();
+  }
+}
+
+/**
+ * Read newline separated JSON events from the stream until it ends.
+ */
+function consume(stream) {
+  return new Promise((resolve, reject) => {
+    let buffer = "";
+    stream.on('data', (chunk) => {
+      buffer += chunk.toString();
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for(let line of lines) {
+        if(line.trim().length == 0)
+          continue;
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch(error) {
+          console.error(`ERROR: Got docker event in unexpected format: ${line}`);
+          continue;
+        }
+        handleEvent(event).catch((error) => {
+          console.error(`ERROR: Failed to handle docker event ${event.Action} for ${event.Actor.ID}`);
+          console.error(error);
+        });
+      }
+    });
+    stream.on('end', resolve);
+    stream.on('close', resolve);
+    stream.on('error', reject);
+  });
+}
+
+async function handleEvent(event) {
+  const id = event.Actor.ID;
+  const attributes = event.Actor.Attributes || {};
+  console.log(`Docker event: ${event.Action} for ${id}.`);
+
+  if(attributes[MONITOR_LABEL]) { // A monitoring container
+    const monitor = await NetworkMonitor.findByRunningContainer({ id: id });
+    if(monitor != null && monitor.status == "running" && event.Action == "die") {
+      const loggedContainer = await monitor.getLoggedContainer();
+      if(!backoff.isBackingOff(loggedContainer.uri)) { // The sync picks it up once the backoff passed
+        transitions.enqueue(loggedContainer, monitor, transitions.restartMonitor, { reason: "event" });
+      }
+    }
+  } else if(matchesSelector(attributes, CAPTURE_LABEL_SELECTOR)) { // A container to log
+    const container = toContainer(id, attributes.name, attributes.image, attributes, event.Action);
+    const monitor = await NetworkMonitor.findByLoggedContainer(container.uri);
+    if(event.Action == "start") {
+      if(monitor == null && (await captureSchedule.isScheduled(container) || await networkNamespaces.isShared(container))) {
+        console.log(`Leaving monitor for ${container.name} to the sync, it's captured on a schedule, sampled or shares its network namespace.`);
+      } else if(monitor == null) {
+        const failedMonitor = await NetworkMonitor.findByLoggedContainer(container.uri, "failed");
+        if(failedMonitor != null) { // The container restarted, give its failed monitor another chance
+          transitions.enqueue(container, failedMonitor, transitions.resetMonitor, { reason: "event" });
+        } else {
+          transitions.enqueue(container, null, transitions.createMonitor, { reason: "event" });
+        }
+      }
+    } else if(monitor != null) {
+      transitions.enqueue(container, monitor, transitions.removeMonitor, { reason: "event" });
+    }
+  }
+}
+
+function containerUri(id) {
+  return `${CONTAINER_URI_PREFIX}${id}`;
+}
+
+function toContainer(id, name, image, labels, status) {
+  return {
+    uri: containerUri(id),
+    id: id,
+    name: name.startsWith("/") ? name : `/${name}`,
+    image: image,
+    status: status,
+    labels: labels,
+    composeService: labels["com.docker.compose.service"] || null,
+    composeProject: labels["com.docker.compose.project"] || null
+  };
+}
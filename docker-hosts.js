@@ -0,0 +1,163 @@
+import fs from 'fs';
+import { sparqlEscapeUri } from 'mu';
+import { query } from './sparql';
+import { DOCKER_HOSTS_FILE, DOCKER_HOST_PREDICATE, CAPTURE_DRIVER } from './environment';
+
+// The docker daemons the service manages monitors on. Hosts are defined by name in DOCKER_HOSTS_FILE:
+// - socketPath: unix socket of the daemon, or
+// - host and port: TCP endpoint of the daemon, with TLS if ca, cert and key are given (paths to PEM files)
+// - uri: value of DOCKER_HOST_PREDICATE for the containers running on this host in the triplestore
+// The first host is the default. Without DOCKER_HOSTS_FILE there is a single host "default" on CAPTURE_DOCKER_SOCKET.
+// Containers are mapped to their host through the triplestore, monitors record the host they run on.
+
+const DEFAULT_HOSTS = {
+  default: { socketPath: process.env.CAPTURE_DOCKER_SOCKET }
+};
+
+const hosts = loadHosts();
+
+// Host names by container URI, a container doesn't move between hosts
+let mapping = {};
+const unmapped = new Set();
+
+export default {
+  all,
+  defaultHost,
+  connectionOptions,
+  isLocal,
+  hostOf,
+  assign
+};
+
+function loadHosts() {
+  if(!fs.existsSync(DOCKER_HOSTS_FILE)) {
+    return DEFAULT_HOSTS;
+  }
+  const config = JSON.parse(fs.readFileSync(DOCKER_HOSTS_FILE, 'utf8'));
+  if(typeof config != "object" || Array.isArray(config) || Object.keys(config).length == 0) {
+    throw new Error(`${DOCKER_HOSTS_FILE} must contain an object of docker hosts by name`);
+  }
+  for(let [name, host] of Object.entries(config)) {
+    validateHost(name, host, Object.keys(config).length > 1);
+  }
+  console.log(`Loaded docker hosts from ${DOCKER_HOSTS_FILE}: ${Object.keys(config).join(", ")}`);
+  return config;
+}
+
+function validateHost(name, host, multiple) {
+  if(!host.socketPath && !host.host) {
+    throw new Error(`Docker host ${name} needs a socketPath or a host`);
+  }
+  if(host.socketPath && host.host) {
+    throw new Error(`Docker host ${name} can't have both a socketPath and a host`);
+  }
+  const tls = ["ca", "cert", "key"].filter((key) => host[key] !== undefined);
+  if(tls.length > 0 && tls.length < 3) {
+    throw new Error(`Docker host ${name} needs all of ca, cert and key for TLS`);
+  }
+  if(tls.length > 0 && !host.host) {
+    throw new Error(`Docker host ${name}: TLS is only supported over TCP`);
+  }
+  if(multiple && !host.uri) {
+    throw new Error(`Docker host ${name} has no uri to map containers to it`);
+  }
+}
+
+/**
+ * Returns the names of all docker hosts.
+ */
+function all() {
+  return Object.keys(hosts);
+}
+
+/**
+ * Returns the name of the default docker host, used for monitors which didn't record their host
+ * and by the docker capture driver.
+ */
+function defaultHost() {
+  return Object.keys(hosts)[0];
+}
+
+/**
+ * Returns the dockerode options to connect to the host with the given name.
+ */
+function connectionOptions(name) {
+  const host = hosts[name];
+  if(host.socketPath) {
+    return { socketPath: host.socketPath };
+  }
+  const options = { host: host.host, port: host.port || (host.ca ? 2376 : 2375) };
+  if(host.ca) {
+    Object.assign(options, {
+      protocol: "https",
+      ca: fs.readFileSync(host.ca),
+      cert: fs.readFileSync(host.cert),
+      key: fs.readFileSync(host.key)
+    });
+  }
+  return options;
+}
+
+/**
+ * Whether the host with the given name is the one the service runs on, i.e. it's reached through a unix socket.
+ */
+function isLocal(name) {
+  return Boolean(hosts[name].socketPath);
+}
+
+/**
+ * Returns the name of the docker host the container runs on, or null if it can't be mapped to a known host.
+ */
+async function hostOf(container) {
+  if(Object.keys(hosts).length == 1 || CAPTURE_DRIVER == "docker") {
+    return defaultHost();
+  }
+  if(mapping[container.uri] === undefined) {
+    Object.assign(mapping, await lookup([container]));
+  }
+  return mapping[container.uri] || null;
+}
+
+/**
+ * Map the given containers to their docker host in one query, and return those on a known host.
+ * Containers which can't be mapped are left out with a warning.
+ */
+async function assign(containers) {
+  if(Object.keys(hosts).length == 1 || CAPTURE_DRIVER == "docker" || containers.length == 0) {
+    return containers;
+  }
+  mapping = await lookup(containers);
+  return containers.filter((container) => {
+    if(mapping[container.uri]) {
+      unmapped.delete(container.uri);
+      return true;
+    }
+    if(!unmapped.has(container.uri)) {
+      console.warn(`Not capturing ${container.name}, it can't be mapped to a known docker host`);
+      unmapped.add(container.uri);
+    }
+    return false;
+  });
+}
+
+/**
+ * Look up the docker hosts of the given containers. Returns the host names by container URI.
+ */
+async function lookup(containers) {
+  const result = await query(`
+    SELECT DISTINCT ?uri ?host
+    FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+    WHERE {
+      VALUES ?uri { ${containers.map((container) => sparqlEscapeUri(container.uri)).join(" ")} }
+      ?uri ${sparqlEscapeUri(DOCKER_HOST_PREDICATE)} ?host.
+    }
+  `);
+  const names = {};
+  for(let binding of result.results.bindings) {
+    const name = Object.keys(hosts).find((name) => hosts[name].uri == binding["host"].value);
+    if(name) {
+      names[binding["uri"].value] = name;
+    }
+  }
+  return names;
+}
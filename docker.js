@@ -1,41 +1,75 @@
 import Docker from 'dockerode';
 import { PULL_MONITOR_IMAGE } from './environment';
+import metrics from './metrics';
+import dockerHosts from './docker-hosts';
 
-const dockerode = new Docker({
-  socketPath: process.env.CAPTURE_DOCKER_SOCKET,
-});
+// Clients by docker host name, see docker-hosts.js.
+// Calls without host go to the default host, calls on a container object go to the host it was fetched from.
+const clients = {};
 
-function listContainers(options) {
+// Creates the client of a docker host from its name and dockerode options.
+// Any object with the dockerode API will do, like the in-memory docker of the end-to-end tests, see useBackend.
+let createClient = (name, options) => new Docker(options);
+
+function client(host) {
+  const name = host || dockerHosts.defaultHost();
+  if(!clients[name]) {
+    if(!dockerHosts.all().includes(name)) {
+      throw new Error(`Unknown docker host ${name}`);
+    }
+    clients[name] = createClient(name, dockerHosts.connectionOptions(name));
+  }
+  return clients[name];
+}
+
+// Create the clients of all docker hosts with the given function instead of dockerode
+function useBackend(factory) {
+  createClient = factory;
+  for(let name of Object.keys(clients)) {
+    delete clients[name];
+  }
+}
+
+// Count the failed call before passing on the error,
+// unless docker answered with one of the expected status codes, like 404 when removing a container which is already gone
+function failed(err, expected = []) {
+  if(!expected.includes(err.statusCode)) {
+    metrics.dockerError(err);
+  }
+  return err;
+}
+
+function listContainers(options, host) {
   return new Promise(function(resolve, reject) {
-    dockerode.listContainers(options,function(err, containers) {
+    client(host).listContainers(options,function(err, containers) {
       if (err)
-        reject(err);
+        reject(failed(err));
       else
         resolve(containers);
     });
   });
 };
 
-async function findContainerByName(name) {
-  const containers = await listContainers({all: true});
+async function findContainerByName(name, host) {
+  const containers = await listContainers({all: true}, host);
 
   for( const container of containers ) {
     if( container.Names.includes( name ) )
-      return dockerode.getContainer(container.Id);
+      return client(host).getContainer(container.Id);
   }
   return null;
 }
 
-function pull(image) {
+function pull(image, host) {
   return new Promise( (resolve, reject) => {
-    dockerode.pull(image, function(err, stream) {
+    client(host).pull(image, function(err, stream) {
       if(err)
-        reject(err);
+        reject(failed(err));
       else {
-        dockerode.modem.followProgress(stream, onFinished, function() {});
+        client(host).modem.followProgress(stream, onFinished, function() {});
         function onFinished(err, output) {
           if(err)
-            reject(err);
+            reject(failed(err));
           else
             resolve(output);
         }
@@ -49,7 +83,7 @@ function remove(container, forceRemove=false) {
     container.remove({force: forceRemove},
                      function (err, data) {
                        if (err) {
-                         reject(err);
+                         reject(failed(err, [404]));
                        }
                        else {
                          resolve(data);
@@ -58,13 +92,13 @@ function remove(container, forceRemove=false) {
   });
 };
 
-function connectContainerTo(containerId, networkName) {
+function connectContainerTo(containerId, networkName, host) {
   return new Promise( (resolve, reject) => {
-    dockerode.getNetwork(networkName)
+    client(host).getNetwork(networkName)
              .connect({Container: containerId},
                       (err, data) => {
                         if(err) {
-                          reject(err);
+                          reject(failed(err, [403]));
                         } else {
                           resolve(data);
                         }
@@ -72,13 +106,13 @@ function connectContainerTo(containerId, networkName) {
   });
 }
 
-function disconnectContainerFrom(containerId, networkName) {
+function disconnectContainerFrom(containerId, networkName, host) {
   return new Promise( (resolve, reject) => {
-    dockerode.getNetwork(networkName)
+    client(host).getNetwork(networkName)
              .disconnect({Container: containerId},
                          (err, data) => {
                            if(err) {
-                             reject(err);
+                             reject(failed(err, [404]));
                            } else {
                              resolve(data);
                            }
@@ -90,7 +124,67 @@ function startContainer(container, opts) {
   return new Promise((resolve, reject) =>
       container.start(opts, (err, data) => {
                            if(err) {
-                             reject(err);
+                             reject(failed(err));
+                           } else {
+                             resolve(data);
+                           }
+      })
+  );
+}
+
+function inspectContainer(container) {
+  return new Promise((resolve, reject) =>
+      container.inspect((err, data) => {
+                           if(err) {
+                             reject(failed(err));
+                           } else {
+                             resolve(data);
+                           }
+      })
+  );
+}
+
+function stats(container) {
+  return new Promise((resolve, reject) =>
+      container.stats({ stream: false }, (err, data) => {
+                           if(err) {
+                             reject(failed(err));
+                           } else {
+                             resolve(data);
+                           }
+      })
+  );
+}
+
+function getEvents(options, host) {
+  return new Promise((resolve, reject) =>
+      client(host).getEvents(options, (err, stream) => {
+                           if(err) {
+                             reject(failed(err));
+                           } else {
+                             resolve(stream);
+                           }
+      })
+  );
+}
+
+function inspectImage(name, host) {
+  return new Promise((resolve, reject) =>
+      client(host).getImage(name).inspect((err, data) => {
+                           if(err) {
+                             reject(failed(err));
+                           } else {
+                             resolve(data);
+                           }
+      })
+  );
+}
+
+function ping(host) {
+  return new Promise((resolve, reject) =>
+      client(host).ping((err, data) => {
+                           if(err) {
+                             reject(failed(err));
                            } else {
                              resolve(data);
                            }
@@ -98,16 +192,51 @@ function startContainer(container, opts) {
   );
 }
 
+function stopContainer(container, opts) {
+  return new Promise((resolve, reject) =>
+      container.stop(opts, (err, data) => {
+                           if(err) {
+                             reject(failed(err, [304, 404]));
+                           } else {
+                             resolve(data);
+                           }
+      })
+  );
+}
+
+// Returns the full id and the network mode of the container with the given id or name,
+// e.g. "bridge", "host" or "container:<id>" for a container sharing the network namespace of another one.
+async function networkMode(id, host) {
+  const info = await inspectContainer(client(host).getContainer(id));
+  return { id: info.Id, mode: info.HostConfig.NetworkMode };
+}
+
+async function createContainer(obj, host) {
+  try {
+    return await client(host).createContainer(obj);
+  } catch(err) {
+    throw failed(err);
+  }
+}
+
 const docker = {
   listContainers:  listContainers,
   findContainerByName,
   pull: pull,
   removeContainer: remove,
-  createContainer: async (obj) => dockerode.createContainer(obj),
-  getContainer: (id) => dockerode.getContainer(id),
+  createContainer: createContainer,
+  getContainer: (id, host) => client(host).getContainer(id),
   connectContainerTo: connectContainerTo,
   disconnectContainerFrom: disconnectContainerFrom,
   startContainer: startContainer,
+  stopContainer: stopContainer,
+  inspectContainer: inspectContainer,
+  networkMode: networkMode,
+  getEvents: getEvents,
+  stats: stats,
+  inspectImage: inspectImage,
+  ping: ping,
+  useBackend: useBackend,
 };
 
 export default docker;
@@ -2,3 +2,76 @@ import env from 'env-var';
 
 export const USE_DOCKER_RESTART_POLICY = env.get('USE_DOCKER_RESTART_POLICY').default("false").asBool();
 export const PULL_MONITOR_IMAGE = env.get('PULL_MONITOR_IMAGE').default("true").asBool();
+export const LOGSTASH_URL = env.get('LOGSTASH_URL').default("logstash:5044").asString();
+export const LOGSTASH_NETWORK = env.get('LOGSTASH_NETWORK').asString();
+export const LOG_SINKS_FILE = env.get('LOG_SINKS_FILE').default("/config/sinks.json").asString();
+export const PACKETBEAT_LISTEN_PORTS = env.get('PACKETBEAT_LISTEN_PORTS').asString();
+export const PACKETBEAT_MAX_MESSAGE_SIZE = lenientIntPositive('PACKETBEAT_MAX_MESSAGE_SIZE');
+export const MONITOR_RESTART_BACKOFF = env.get('MONITOR_RESTART_BACKOFF').default("5000").asIntPositive();
+export const MONITOR_RESTART_BACKOFF_MAX = env.get('MONITOR_RESTART_BACKOFF_MAX').default("300000").asIntPositive();
+export const MONITOR_RESTART_MAX_FAILURES = env.get('MONITOR_RESTART_MAX_FAILURES').default("5").asIntPositive();
+export const MONITOR_RESTART_FAILURE_WINDOW = env.get('MONITOR_RESTART_FAILURE_WINDOW').default("900000").asIntPositive();
+export const CAPTURE_CONTAINER_FILTER = env.get('CAPTURE_CONTAINER_FILTER').default("").asString();
+export const DELTA_DEBOUNCE_WINDOW = env.get('DELTA_DEBOUNCE_WINDOW').default("2000").asIntPositive();
+export const CAPTURE_DRIVER = env.get('CAPTURE_DRIVER').default("sparql").asEnum(["sparql", "docker"]);
+export const CAPTURE_LABEL_SELECTOR = env.get('CAPTURE_LABEL_SELECTOR').default("logging=true").asArray(",");
+export const MONITOR_PROFILES_FILE = env.get('MONITOR_PROFILES_FILE').default("/config/profiles.json").asString();
+export const MONITOR_PROFILE = env.get('MONITOR_PROFILE').default("packetbeat").asString();
+export const PCAP_IMAGE = env.get('PCAP_IMAGE').default("corfr/tcpdump").asString();
+export const PCAP_HOST_DIRECTORY = env.get('PCAP_HOST_DIRECTORY').asString();
+export const PCAP_DIRECTORY = env.get('PCAP_DIRECTORY').default("/captures").asString();
+export const PCAP_ROTATE_SECONDS = env.get('PCAP_ROTATE_SECONDS').default("3600").asIntPositive();
+export const PCAP_ROTATE_SIZE = env.get('PCAP_ROTATE_SIZE').default("100").asIntPositive();
+export const PCAP_RETENTION_SIZE = env.get('PCAP_RETENTION_SIZE').default("10240").asIntPositive();
+export const PCAP_RETENTION_AGE = env.get('PCAP_RETENTION_AGE').default("168").asIntPositive();
+export const PCAP_RETENTION_INTERVAL = env.get('PCAP_RETENTION_INTERVAL').default("60000").asIntPositive();
+export const HEALTH_CHECK_TIMEOUT = env.get('HEALTH_CHECK_TIMEOUT').default("5000").asIntPositive();
+export const READY_MAX_SYNC_AGE = env.get('READY_MAX_SYNC_AGE').default("30000").asIntPositive();
+export const DRY_RUN = env.get('DRY_RUN').default("false").asBool();
+export const MONITOR_GC_INTERVAL = env.get('MONITOR_GC_INTERVAL').default("60000").asIntPositive();
+export const MONITOR_GC_GRACE = env.get('MONITOR_GC_GRACE').default("60000").asIntPositive();
+export const MONITOR_GC_ADOPT = env.get('MONITOR_GC_ADOPT').default("true").asBool();
+export const MONITOR_OWNER = env.get('MONITOR_OWNER').default("default").asString();
+export const MONITOR_UPGRADE = env.get('MONITOR_UPGRADE').default("true").asBool();
+export const MONITOR_UPGRADE_INTERVAL = env.get('MONITOR_UPGRADE_INTERVAL').default("300000").asIntPositive();
+export const MONITOR_UPGRADE_BATCH_SIZE = env.get('MONITOR_UPGRADE_BATCH_SIZE').default("1").asIntPositive();
+export const MONITOR_UPGRADE_PAUSE = env.get('MONITOR_UPGRADE_PAUSE').default("30000").asIntPositive();
+export const MONITOR_CPU_LIMIT = env.get('MONITOR_CPU_LIMIT').asFloatPositive();
+export const MONITOR_MEMORY_LIMIT = env.get('MONITOR_MEMORY_LIMIT').asString();
+export const MONITOR_PIDS_LIMIT = env.get('MONITOR_PIDS_LIMIT').asIntPositive();
+export const MONITOR_STATS_INTERVAL = env.get('MONITOR_STATS_INTERVAL').default("60000").asIntPositive();
+export const TRANSITION_CONCURRENCY = env.get('TRANSITION_CONCURRENCY').default("5").asIntPositive();
+export const TRANSITION_TIMEOUT = env.get('TRANSITION_TIMEOUT').default("60000").asIntPositive();
+export const TRANSITION_RETRIES = intZeroOrMore('TRANSITION_RETRIES', "2");
+export const TRANSITION_RETRY_DELAY = env.get('TRANSITION_RETRY_DELAY').default("5000").asIntPositive();
+export const TRANSITION_JOURNAL_FILE = env.get('TRANSITION_JOURNAL_FILE').default("/data/transitions.json").asString();
+export const MONITOR_HANDOFF = env.get('MONITOR_HANDOFF').default("false").asBool();
+export const DOCKER_HOSTS_FILE = env.get('DOCKER_HOSTS_FILE').default("/config/docker-hosts.json").asString();
+export const DOCKER_HOST_PREDICATE = env.get('DOCKER_HOST_PREDICATE').default("https://w3.org/ns/bde/docker#host").asString();
+export const CAPTURE_HOST_NETWORK = env.get('CAPTURE_HOST_NETWORK').default("skip").asEnum(["skip", "capture"]);
+export const CAPTURE_SAMPLE_ROTATION = env.get('CAPTURE_SAMPLE_ROTATION').default("3600000").asIntPositive();
+export const CAPTURE_SESSION_MAX_DURATION = env.get('CAPTURE_SESSION_MAX_DURATION').default("86400").asIntPositive();
+
+// Parse an integer which may be 0, e.g. to turn a feature off. Fails on startup for a negative value.
+function intZeroOrMore(name, defaultValue) {
+  const value = env.get(name).default(defaultValue).asInt();
+  if(value < 0) {
+    throw new Error(`Invalid ${name}=${value}, it should be 0 or more`);
+  }
+  return value;
+}
+
+// Parse a positive integer, ignoring an empty or invalid value with a warning instead of failing on startup.
+// For variables which were passed on to the monitor as is before they got validated.
+function lenientIntPositive(name) {
+  const value = env.get(name).default("").asString().trim();
+  if(value == "") {
+    return undefined;
+  }
+  const number = Number(value);
+  if(!Number.isInteger(number) || number <= 0) {
+    console.warn(`Ignoring ${name}=${value}, it should be a positive integer`);
+    return undefined;
+  }
+  return number;
+}
@@ -0,0 +1,119 @@
+import { query } from './sparql';
+import { CAPTURE_DRIVER, HEALTH_CHECK_TIMEOUT, READY_MAX_SYNC_AGE } from './environment';
+import docker from './docker';
+import dockerHosts from './docker-hosts';
+import profiles from './profiles';
+import transitions from './transitions';
+
+// Startup phase of the service: starting, database, docker, image, handoff, running or exiting
+let phase = "starting";
+let lastSync = null;
+
+export default {
+  setPhase,
+  recordSync,
+  health,
+  ready
+};
+
+function setPhase(newPhase) {
+  phase = newPhase;
+}
+
+/**
+ * Record a successful monitor sync.
+ */
+function recordSync() {
+  lastSync = new Date();
+}
+
+/**
+ * GET /health
+ * Reports database and docker connectivity, the monitor images, the last sync and the transition queue.
+ * Responds 503 when the database or docker daemon can't be reached.
+ */
+async function health(req, res) {
+  const report = await buildReport();
+  const healthy = report.checks.database.ok && report.checks.docker.ok;
+  res.status(healthy ? 200 : 503).send(Object.assign({ status: healthy ? "ok" : "unavailable" }, report));
+}
+
+/**
+ * GET /ready
+ * Like /health, but also responds 503 while starting up, when a monitor image is missing
+ * or when the last successful sync is older than READY_MAX_SYNC_AGE.
+ */
+async function ready(req, res) {
+  const report = await buildReport();
+  const syncAge = lastSync ? Date.now() - lastSync.getTime() : null;
+  const isReady = phase == "running"
+        && report.checks.database.ok
+        && report.checks.docker.ok
+        && report.checks.images.ok
+        && syncAge != null && syncAge <= READY_MAX_SYNC_AGE;
+  res.status(isReady ? 200 : 503).send(Object.assign({ status: isReady ? "ready" : "not ready" }, report));
+}
+
+async function buildReport() {
+  const [database, dockerDaemon, images] = await Promise.all([checkDatabase(), checkDocker(), checkImages()]);
+  return {
+    phase: phase,
+    checks: {
+      database: database,
+      docker: dockerDaemon,
+      images: images
+    },
+    lastSync: lastSync ? lastSync.toISOString() : null,
+    queue: transitions.queueDepth()
+  };
+}
+
+async function checkDatabase() {
+  if(CAPTURE_DRIVER == "docker") {
+    return { ok: true, skipped: true };
+  }
+  return check(() => query('ASK {?s ?p ?o}'));
+}
+
+async function checkDocker() {
+  const unreachable = [];
+  for(let host of dockerHosts.all()) {
+    const result = await check(() => docker.ping(host));
+    if(!result.ok) {
+      unreachable.push(host);
+    }
+  }
+  return { ok: unreachable.length == 0, unreachable: unreachable };
+}
+
+async function checkImages() {
+  const images = [...new Set(Object.values(profiles.all()).map((profile) => profile.image))];
+  const missing = [];
+  for(let host of dockerHosts.all()) {
+    for(let image of images) {
+      const result = await check(() => docker.inspectImage(image, host));
+      if(!result.ok) {
+        missing.push(dockerHosts.all().length > 1 ? `${host}: ${image}` : image);
+      }
+    }
+  }
+  return { ok: missing.length == 0, missing: missing };
+}
+
+/**
+ * Run the given call, failing it after HEALTH_CHECK_TIMEOUT.
+ */
+async function check(call) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${HEALTH_CHECK_TIMEOUT}ms`)), HEALTH_CHECK_TIMEOUT);
+  });
+  try {
+    await Promise.race([call(), timeout]);
+    return { ok: true };
+  } catch(error) {
+    return { ok: false, error: error.message || `${error}` };
+  } finally {
+    clearTimeout(timer);
+  }
+}
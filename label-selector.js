@@ -0,0 +1,13 @@
+/**
+ * Whether the given labels match every selector, where a selector is a label key or a key=value pair.
+ */
+export function matchesSelector(labels, selectors) {
+  return selectors.every((selector) => {
+    const [key, ...value] = selector.split("=");
+    if(value.length == 0) {
+      return labels[key] !== undefined;
+    } else {
+      return labels[key] === value.join("=");
+    }
+  });
+}
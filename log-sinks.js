@@ -0,0 +1,73 @@
+import fs from 'fs';
+import { LOGSTASH_URL, LOGSTASH_NETWORK, LOG_SINKS_FILE } from './environment';
+import { matchesSelector } from './label-selector';
+
+// A log sink is the endpoint monitors ship their events to, with the networks needed to reach it.
+// Routes in LOG_SINKS_FILE select a sink by compose project and/or labels of the logged container:
+// - name: name of the route, used in logs
+// - composeProject: compose project of the logged container
+// - labels: labels the logged container must have, as "key" or "key=value"
+// - logstashUrl: endpoint of the sink
+// - networks: networks the *logged* container joins to reach the sink
+// The first matching route wins. Containers without matching route use LOGSTASH_URL and LOGSTASH_NETWORK.
+
+const DEFAULT_SINK = {
+  name: "default",
+  logstashUrl: LOGSTASH_URL,
+  networks: LOGSTASH_NETWORK ? [LOGSTASH_NETWORK] : []
+};
+
+const routes = loadRoutes();
+
+export default {
+  resolve
+};
+
+function loadRoutes() {
+  if(!fs.existsSync(LOG_SINKS_FILE)) {
+    return [];
+  }
+  const config = JSON.parse(fs.readFileSync(LOG_SINKS_FILE, 'utf8'));
+  if(!Array.isArray(config)) {
+    throw new Error(`${LOG_SINKS_FILE} must contain an array of routes`);
+  }
+  const loaded = config.map((route, index) => validateRoute(route, index));
+  console.log(`Loaded log sink routes from ${LOG_SINKS_FILE}: ${loaded.map((route) => route.name).join(", ")}`);
+  return loaded;
+}
+
+function validateRoute(route, index) {
+  const name = route.name || `#${index}`;
+  if(typeof route.logstashUrl != "string" || route.logstashUrl.length == 0) {
+    throw new Error(`Log sink route ${name} has no logstashUrl`);
+  }
+  if(route.composeProject === undefined && route.labels === undefined) {
+    throw new Error(`Log sink route ${name} needs a composeProject or labels to match on`);
+  }
+  if(route.composeProject !== undefined && typeof route.composeProject != "string") {
+    throw new Error(`Log sink route ${name}: composeProject must be a string`);
+  }
+  for(let key of ["labels", "networks"]) {
+    if(route[key] !== undefined && !Array.isArray(route[key])) {
+      throw new Error(`Log sink route ${name}: ${key} must be an array`);
+    }
+  }
+  return {
+    name: name,
+    composeProject: route.composeProject || null,
+    labels: route.labels || [],
+    logstashUrl: route.logstashUrl,
+    networks: route.networks || []
+  };
+}
+
+/**
+ * Returns the sink for a container with the given labels, as { name, logstashUrl, networks }.
+ */
+function resolve(labels) {
+  const route = routes.find((route) => {
+    return (route.composeProject == null || labels["com.docker.compose.project"] == route.composeProject)
+      && matchesSelector(labels, route.labels);
+  });
+  return route ? { name: route.name, logstashUrl: route.logstashUrl, networks: route.networks } : DEFAULT_SINK;
+}
@@ -0,0 +1,126 @@
+// Metrics in the Prometheus text format, served on GET /metrics.
+// Counters and histograms are kept in memory, gauges are collected on every scrape.
+
+const counters = {};
+const histograms = {};
+const gauges = {};
+
+const SYNC_DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+defineCounter("capture_transitions_total", "Transitions executed, by action and result");
+defineCounter("capture_delta_messages_total", "Delta messages received, by result");
+defineCounter("capture_docker_errors_total", "Failed docker API calls, by status code");
+defineHistogram("capture_sync_duration_seconds", "Duration of the monitor sync loop", SYNC_DURATION_BUCKETS);
+
+export default {
+  transitionExecuted,
+  deltaReceived,
+  dockerError,
+  syncDuration,
+  registerGauge,
+  handler
+};
+
+/**
+ * Count an executed transition. result is succeeded, failed, timed_out or skipped.
+ */
+function transitionExecuted(action, result) {
+  increment("capture_transitions_total", { action: action, result: result });
+}
+
+/**
+ * Count a received delta message. result is accepted or rejected.
+ */
+function deltaReceived(result) {
+  increment("capture_delta_messages_total", { result: result });
+}
+
+/**
+ * Count a failed docker API call. Errors without status code, e.g. connection errors, are counted as "none".
+ */
+function dockerError(error) {
+  increment("capture_docker_errors_total", { status_code: error && error.statusCode ? `${error.statusCode}` : "none" });
+}
+
+function syncDuration(seconds) {
+  observe("capture_sync_duration_seconds", seconds);
+}
+
+/**
+ * Register a gauge collected on every scrape.
+ * collect is an async function returning a list of { labels, value } objects.
+ */
+function registerGauge(name, help, collect) {
+  gauges[name] = { help: help, collect: collect };
+}
+
+/**
+ * GET /metrics
+ */
+async function handler(req, res) {
+  const lines = [];
+  for(let name of Object.keys(counters)) {
+    lines.push(`# HELP ${name} ${counters[name].help}`);
+    lines.push(`# TYPE ${name} counter`);
+    for(let key of Object.keys(counters[name].values)) {
+      lines.push(`${name}${key} ${counters[name].values[key]}`);
+    }
+  }
+  for(let name of Object.keys(histograms)) {
+    const histogram = histograms[name];
+    lines.push(`# HELP ${name} ${histogram.help}`);
+    lines.push(`# TYPE ${name} histogram`);
+    histogram.buckets.forEach((bucket, index) => {
+      lines.push(`${name}_bucket{le="${bucket}"} ${histogram.counts[index]}`);
+    });
+    lines.push(`${name}_bucket{le="+Inf"} ${histogram.count}`);
+    lines.push(`${name}_sum ${histogram.sum}`);
+    lines.push(`${name}_count ${histogram.count}`);
+  }
+  for(let name of Object.keys(gauges)) {
+    lines.push(`# HELP ${name} ${gauges[name].help}`);
+    lines.push(`# TYPE ${name} gauge`);
+    try {
+      for(let sample of await gauges[name].collect()) {
+        lines.push(`${name}${formatLabels(sample.labels || {})} ${sample.value}`);
+      }
+    } catch(error) {
+      console.error(`ERROR: Failed to collect metric ${name}`);
+      console.error(error);
+    }
+  }
+  res.status(200).type('text/plain; version=0.0.4').send(lines.join("\n") + "\n");
+}
+
+function defineCounter(name, help) {
+  counters[name] = { help: help, values: {} };
+}
+
+function defineHistogram(name, help, buckets) {
+  histograms[name] = { help: help, buckets: buckets, counts: buckets.map(() => 0), sum: 0, count: 0 };
+}
+
+function increment(name, labels) {
+  const key = formatLabels(labels);
+  counters[name].values[key] = (counters[name].values[key] || 0) + 1;
+}
+
+function observe(name, value) {
+  const histogram = histograms[name];
+  histogram.buckets.forEach((bucket, index) => {
+    if(value <= bucket) {
+      histogram.counts[index]++;
+    }
+  });
+  histogram.sum += value;
+  histogram.count++;
+}
+
+function formatLabels(labels) {
+  const keys = Object.keys(labels);
+  if(keys.length == 0) {
+    return "";
+  }
+  const pairs = keys.map((key) => `${key}="${`${labels[key]}`.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}"`);
+  return `{${pairs.join(",")}}`;
+}
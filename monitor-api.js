@@ -0,0 +1,231 @@
+import { sparqlEscapeUri, sparqlEscapeString } from 'mu';
+import { query } from './sparql';
+import NetworkMonitor from './network-monitor';
+import transitions from './transitions';
+import dockerDriver from './docker-driver';
+import pcap from './pcap';
+import { CAPTURE_DRIVER } from './environment';
+import { sendError, rejectInDryRun } from './responses';
+
+// Page size of GET /monitors, by default and at most
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * GET /monitors
+ * Lists the network monitors by id, optionally filtered on ?status=. Removed monitors are only listed with ?status=removed.
+ * Paginated through ?limit= (at most MAX_PAGE_SIZE) and ?offset=, meta.count is the number of monitors over all pages.
+ */
+export async function listMonitors(req, res) {
+  const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+  const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+  if(!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE || !Number.isInteger(offset) || offset < 0) {
+    sendError(res, 400, `limit must be a number between 1 and ${MAX_PAGE_SIZE}, offset a number of 0 or more`);
+    return;
+  }
+  try {
+    const monitors = (await NetworkMonitor.findAll(req.query.status || null))
+          .filter((monitor) => req.query.status || monitor.status != "removed")
+          .sort((a, b) => a.id.localeCompare(b.id));
+    const data = await Promise.all(monitors.slice(offset, offset + limit).map(serializeMonitor));
+    res.status(200).send({ data: data, meta: { count: monitors.length, limit: limit, offset: offset } });
+  } catch(error) {
+    console.error(`ERROR: Failed to list network monitors`);
+    console.error(error);
+    sendError(res, 500, "Failed to list network monitors");
+  }
+}
+
+/**
+ * GET /monitors/:id
+ * Includes the lifecycle events of the monitor.
+ */
+export async function showMonitor(req, res) {
+  try {
+    const monitor = await NetworkMonitor.find(req.params.id);
+    if(monitor == null) {
+      sendError(res, 404, `Network monitor ${req.params.id} not found`);
+    } else {
+      const data = await serializeMonitor(monitor);
+      data.events = await monitor.getEvents();
+      res.status(200).send({ data: data });
+    }
+  } catch(error) {
+    console.error(`ERROR: Failed to fetch network monitor ${req.params.id}`);
+    console.error(error);
+    sendError(res, 500, `Failed to fetch network monitor ${req.params.id}`);
+  }
+}
+
+/**
+ * POST /monitors/:id/restart
+ * Removes and recreates the monitor container through the transition queue.
+ */
+export async function restartMonitor(req, res) {
+  await enqueueForMonitor(req, res, transitions.restartMonitor);
+}
+
+/**
+ * DELETE /monitors/:id
+ * Stops capturing the logged container. The stop is remembered,
+ * the monitor will not be recreated until it is started again through POST /containers/:uuid/monitor.
+ */
+export async function stopMonitor(req, res) {
+  await enqueueForMonitor(req, res, transitions.stopMonitor);
+}
+
+/**
+ * POST /monitors/:id/reset
+ * Clears the failed state of a crash-looping monitor and creates a new one.
+ */
+export async function resetMonitor(req, res) {
+  await enqueueForMonitor(req, res, transitions.resetMonitor, "failed");
+}
+
+/**
+ * POST /containers/:uuid/monitor
+ * Starts capturing the container with the given uuid, clearing a previous manual stop.
+ * With the docker driver, the uuid is the docker id of the container.
+ */
+export async function startMonitor(req, res) {
+  if(rejectInDryRun(res)) {
+    return;
+  }
+  try {
+    const container = CAPTURE_DRIVER == "docker" ? await findDockerContainer(req.params.uuid) : await findContainerByUuid(req.params.uuid);
+    if(container == null) {
+      sendError(res, 404, `Container ${req.params.uuid} not found`);
+      return;
+    }
+    const monitor = await NetworkMonitor.findByLoggedContainer(container.uri);
+    if(monitor != null) {
+      sendError(res, 409, `Container ${req.params.uuid} is already monitored by ${monitor.id}`);
+      return;
+    }
+    transitions.enqueue(container, null, transitions.createMonitor, { reason: "manual" });
+    res.status(202).end();
+  } catch(error) {
+    console.error(`ERROR: Failed to start monitor for container ${req.params.uuid}`);
+    console.error(error);
+    sendError(res, 500, `Failed to start monitor for container ${req.params.uuid}`);
+  }
+}
+
+/**
+ * GET /captures
+ * Lists the pcap files written by monitors with the pcap profile, newest first.
+ */
+export async function listCaptures(req, res) {
+  try {
+    res.status(200).send({ data: await pcap.list() });
+  } catch(error) {
+    console.error(`ERROR: Failed to list capture files`);
+    console.error(error);
+    sendError(res, 500, "Failed to list capture files");
+  }
+}
+
+/**
+ * GET /captures/:project/:service/:name
+ * Downloads a pcap file.
+ */
+export async function downloadCapture(req, res) {
+  const file = await pcap.resolve(req.params.project, req.params.service, req.params.name);
+  if(file == null) {
+    sendError(res, 404, `Capture file ${req.params.project}/${req.params.service}/${req.params.name} not found`);
+  } else {
+    res.download(file, req.params.name);
+  }
+}
+
+async function enqueueForMonitor(req, res, action, expectedStatus = "running") {
+  if(rejectInDryRun(res)) {
+    return;
+  }
+  try {
+    const monitor = await NetworkMonitor.find(req.params.id);
+    if(monitor == null) {
+      sendError(res, 404, `Network monitor ${req.params.id} not found`);
+      return;
+    }
+    if(monitor.status != expectedStatus) {
+      sendError(res, 409, `Network monitor ${req.params.id} is not ${expectedStatus}, its status is ${monitor.status}`);
+      return;
+    }
+    const container = await monitor.getLoggedContainer();
+    if(container == null) {
+      sendError(res, 409, `Container logged by network monitor ${req.params.id} not found`);
+      return;
+    }
+    transitions.enqueue(container, monitor, action, { reason: "manual" });
+    res.status(202).end();
+  } catch(error) {
+    console.error(`ERROR: Failed to enqueue ${action.name} for network monitor ${req.params.id}`);
+    console.error(error);
+    sendError(res, 500, `Failed to enqueue ${action.name} for network monitor ${req.params.id}`);
+  }
+}
+
+async function findDockerContainer(id) {
+  const container = await dockerDriver.getContainer(dockerDriver.containerUri(id));
+  return container.status == "removed" ? null : container;
+}
+
+export async function findContainerByUuid(uuid) {
+  const result = await query(`
+    PREFIX docker: <https://w3.org/ns/bde/docker#>
+    PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+    SELECT ?uri ?id ?name ?image
+    FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+    WHERE {
+      ?uri a docker:Container;
+           mu:uuid ${sparqlEscapeString(uuid)};
+           docker:id ?id;
+           docker:name ?name;
+           docker:image ?image.
+    }
+  `);
+  if(result.results.bindings.length > 0) {
+    const binding = result.results.bindings[0];
+    return {
+      uri: binding["uri"].value,
+      id: binding["id"].value,
+      name: binding["name"].value,
+      image: binding["image"].value
+    };
+  } else {
+    return null;
+  }
+}
+
+export async function serializeMonitor(monitor) {
+  let monitorContainer;
+  try {
+    monitorContainer = await monitor.dockerState();
+  } catch(error) {
+    console.warn(`Could not inspect monitor container ${monitor.id}`);
+    console.warn(error);
+    monitorContainer = { status: "unknown", error: error.message };
+  }
+  return {
+    id: monitor.id,
+    uri: monitor.uri,
+    status: monitor.status,
+    settings: {
+      listenPorts: monitor.listenPorts,
+      maxMessageSize: monitor.maxMessageSize,
+      logstashUrl: monitor.logstashUrl,
+      profile: monitor.profile,
+      cpuLimit: monitor.cpuLimit,
+      memoryLimit: monitor.memoryLimit,
+      pidsLimit: monitor.pidsLimit,
+      imageId: monitor.imageId,
+      host: monitor.host,
+      networks: await monitor.getNetworks()
+    },
+    usage: await monitor.getUsage(),
+    loggedContainer: await monitor.getLoggedContainer(),
+    attachedContainers: await monitor.getAttachedContainers(),
+    monitorContainer: monitorContainer
+  };
+}
@@ -0,0 +1,92 @@
+import { MONITOR_GC_GRACE, MONITOR_GC_ADOPT, MONITOR_OWNER } from './environment';
+import docker from './docker';
+import dockerHosts from './docker-hosts';
+import NetworkMonitor from './network-monitor';
+import transitions from './transitions';
+
+// Garbage collection of monitor containers against the actual docker state.
+// Catches monitor containers left behind when the service crashed between creating the container
+// and saving the monitor, and monitors whose container disappeared.
+// Only monitor containers of this instance are touched, other stacks on the same docker host may run their own capture service.
+
+const MONITOR_LABEL = "mu.semte.ch.networkMonitor";
+const OWNER_LABEL = "mu.semte.ch.networkMonitor.owner";
+// Owner of monitor containers created before they were labelled with their owner
+const DEFAULT_OWNER = "default";
+
+export default {
+  sweep,
+  adoptExisting
+};
+
+/**
+ * Compare the monitor containers of this instance (MONITOR_OWNER) on the docker hosts with the running network monitors.
+ * loggedContainers are the containers which should be monitored, as used by the sync.
+ * - Untracked monitor containers of a logged container are adopted (if MONITOR_GC_ADOPT), others are removed.
+ *   Containers younger than MONITOR_GC_GRACE are left alone, as their monitor may still be being saved.
+ * - Running network monitors without container are marked as removed.
+ * All changes go through the transition queue.
+ * options.grace and options.adopt override MONITOR_GC_GRACE and MONITOR_GC_ADOPT.
+ * Returns the containers for which transitions were enqueued.
+ */
+async function sweep(loggedContainers, options = {}) {
+  const grace = options.grace !== undefined ? options.grace : MONITOR_GC_GRACE;
+  const adopt = options.adopt !== undefined ? options.adopt : MONITOR_GC_ADOPT;
+  const monitorContainers = [];
+  for(let host of dockerHosts.all()) {
+    const containers = await docker.listContainers({ all: true, filters: { label: [MONITOR_LABEL] } }, host);
+    monitorContainers.push(...containers.map((container) => Object.assign(container, { host: host })));
+  }
+  const runningMonitors = await NetworkMonitor.findAll("running");
+  const trackedIds = new Set(runningMonitors.map((monitor) => monitor.id));
+  const existingIds = new Set(monitorContainers.map((container) => container.Id));
+  const enqueued = [];
+
+  for(let monitorContainer of monitorContainers) {
+    if(trackedIds.has(monitorContainer.Id))
+      continue;
+    if((monitorContainer.Labels[OWNER_LABEL] || DEFAULT_OWNER) != MONITOR_OWNER)
+      continue;
+    if(Date.now() - monitorContainer.Created * 1000 < grace)
+      continue;
+
+    const loggedContainer = loggedContainers.find((container) => container.uri == monitorContainer.Labels[MONITOR_LABEL]);
+    const actionOptions = { reason: options.reason || "gc", monitorContainerId: monitorContainer.Id, monitorHost: monitorContainer.host };
+    if(adopt && loggedContainer && monitorContainer.State == "running") {
+      console.log(`GC: adopting untracked monitor container ${monitorContainer.Names[0]}`);
+      transitions.enqueue(loggedContainer, null, transitions.adoptMonitor, actionOptions);
+      enqueued.push(loggedContainer);
+    } else {
+      console.log(`GC: removing untracked monitor container ${monitorContainer.Names[0]}`);
+      const orphan = {
+        uri: monitorContainer.Labels[MONITOR_LABEL],
+        id: null,
+        name: monitorContainer.Names[0]
+      };
+      transitions.enqueue(orphan, null, transitions.removeOrphanedMonitor, actionOptions);
+      enqueued.push(orphan);
+    }
+  }
+
+  for(let monitor of runningMonitors) {
+    if(existingIds.has(monitor.id))
+      continue;
+    console.log(`GC: container of monitor ${monitor.uri} no longer exists`);
+    const loggedContainer = await monitor.getLoggedContainer() || { uri: monitor.dockerContainer, id: null, name: monitor.uri };
+    transitions.enqueue(loggedContainer, monitor, transitions.forgetMonitor, { reason: options.reason || "gc" });
+    enqueued.push(loggedContainer);
+  }
+  return enqueued;
+}
+
+/**
+ * Take over the monitor containers left running by a previous instance in handoff mode (MONITOR_HANDOFF).
+ * Runs a sweep without grace period which always adopts, and waits until its transitions are done,
+ * so the following sync only reconciles actual differences.
+ */
+async function adoptExisting(loggedContainers) {
+  const enqueued = await sweep(loggedContainers, { grace: 0, adopt: true, reason: "handoff" });
+  await Promise.all(enqueued.map((container) => transitions.wait(container)));
+  const running = await NetworkMonitor.findAll("running");
+  console.log(`Handoff: took over ${running.length} running monitors`);
+}
@@ -1,28 +1,61 @@
-import { query, update, sparqlEscapeUri, sparqlEscapeString, uuid } from 'mu';
+import { sparqlEscapeUri, sparqlEscapeString, sparqlEscapeInt, sparqlEscapeFloat, sparqlEscapeDateTime, sparqlEscapeBool, uuid } from 'mu';
+import { query, update } from './sparql';
+import docker from './docker';
+import dockerDriver from './docker-driver';
+import { CAPTURE_DRIVER } from './environment';
 
 const PREFIXES = `
 PREFIX logger:<http://mu.semte.ch/vocabularies/ext/docker-logger/>
 PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+PREFIX dct: <http://purl.org/dc/terms/>
 `;
+// Optional capture settings of a monitor bound to ?uri
+const SETTINGS_PATTERN = `
+          OPTIONAL { ?uri logger:listenPorts ?listenPorts. }
+          OPTIONAL { ?uri logger:maxMessageSize ?maxMessageSize. }
+          OPTIONAL { ?uri logger:logstashUrl ?logstashUrl. }
+          OPTIONAL { ?uri logger:profile ?profile. }
+          OPTIONAL { ?uri logger:imageId ?imageId. }
+          OPTIONAL { ?uri logger:cpuLimit ?cpuLimit. }
+          OPTIONAL { ?uri logger:memoryLimit ?memoryLimit. }
+          OPTIONAL { ?uri logger:pidsLimit ?pidsLimit. }
+          OPTIONAL { ?uri logger:dockerHost ?host. }
+`;
+
 class NetworkMonitor {
-  constructor({id, uri, status, dockerContainer, persisted}) {
+  constructor({id, uri, status, dockerContainer, listenPorts, maxMessageSize, logstashUrl, profile, cpuLimit, memoryLimit, pidsLimit, imageId, host, replaces, persisted}) {
     this.id = id;
     this.uri = uri;
     this.status = status ? status : "running";
     this.dockerContainer = dockerContainer;
+    // Capture settings the monitor container was created with
+    this.listenPorts = listenPorts ? listenPorts : null;
+    this.maxMessageSize = maxMessageSize ? parseInt(maxMessageSize) : null;
+    this.logstashUrl = logstashUrl ? logstashUrl : null;
+    this.profile = profile ? profile : null;
+    this.cpuLimit = cpuLimit ? parseFloat(cpuLimit) : null;
+    this.memoryLimit = memoryLimit ? parseInt(memoryLimit) : null;
+    this.pidsLimit = pidsLimit ? parseInt(pidsLimit) : null;
+    // Id of the image the monitor container was created from
+    this.imageId = imageId ? imageId : null;
+    // Name of the docker host the monitor container runs on, see docker-hosts.js. The default host if not recorded.
+    this.host = host ? host : null;
+    // URI of the monitor this one replaced on restart
+    this.replaces = replaces ? replaces : null;
     this._persisted = persisted ? persisted : false;
   }
 
   static async findAll(status=null) {
     const result = await query(`
         ${PREFIXES}
-        SELECT DISTINCT ?id ?uri ?status ?dockerContainer
+        SELECT DISTINCT ?id ?uri ?status ?dockerContainer ?listenPorts ?maxMessageSize ?logstashUrl ?profile ?cpuLimit ?memoryLimit ?pidsLimit ?imageId ?host
         FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
         WHERE {
           ?uri a logger:NetworkMonitor;
                mu:uuid ?id;
                logger:status ?status;
-               logger:monitors ?dockerContainer
+               logger:monitors ?dockerContainer.
+          ${SETTINGS_PATTERN}
         ${ status ? `FILTER(?status = ${sparqlEscapeString(status)})` : ''}
         }
     `);
@@ -38,18 +71,56 @@ class NetworkMonitor {
     return objects;
   }
 
+  // Find a network monitor by its id, regardless of its status.
+  static async find(id) {
+    const result = await query(`
+        ${PREFIXES}
+        SELECT DISTINCT ?uri ?status ?dockerContainer ?listenPorts ?maxMessageSize ?logstashUrl ?profile ?cpuLimit ?memoryLimit ?pidsLimit ?imageId ?host
+        FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+        WHERE {
+          ?uri a logger:NetworkMonitor;
+               mu:uuid ${sparqlEscapeString(id)};
+               logger:status ?status;
+               logger:monitors ?dockerContainer.
+          ${SETTINGS_PATTERN}
+        }
+    `);
+    if(result.results.bindings.length > 0) {
+      const binding = result.results.bindings[0];
+      return new this({
+        persisted: true,
+        id: id,
+        uri: binding["uri"].value,
+        status: binding["status"].value,
+        dockerContainer: binding["dockerContainer"].value,
+        listenPorts: binding["listenPorts"] ? binding["listenPorts"].value : null,
+        maxMessageSize: binding["maxMessageSize"] ? binding["maxMessageSize"].value : null,
+        logstashUrl: binding["logstashUrl"] ? binding["logstashUrl"].value : null,
+        profile: binding["profile"] ? binding["profile"].value : null,
+        cpuLimit: binding["cpuLimit"] ? binding["cpuLimit"].value : null,
+        memoryLimit: binding["memoryLimit"] ? binding["memoryLimit"].value : null,
+        pidsLimit: binding["pidsLimit"] ? binding["pidsLimit"].value : null,
+        imageId: binding["imageId"] ? binding["imageId"].value : null,
+        host: binding["host"] ? binding["host"].value : null
+      });
+    } else {
+      return null;
+    }
+  }
+
   // Relate a container URI to the network monitor monitoring that container.
-  static async findByLoggedContainer(containerURI) {
+  static async findByLoggedContainer(containerURI, status="running") {
     const result = await query(`
         ${PREFIXES}
-        SELECT DISTINCT ?id ?uri ?status
+        SELECT DISTINCT ?id ?uri ?status ?host
         FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
         WHERE {
           ?uri a logger:NetworkMonitor;
                mu:uuid ?id;
                logger:status ?status;
                logger:monitors ${sparqlEscapeUri(containerURI)}.
-          FILTER(?status = "running")
+          OPTIONAL { ?uri logger:dockerHost ?host. }
+          FILTER(?status = ${sparqlEscapeString(status)})
         }
     `);
     if(result.results.bindings.length > 0) {
@@ -59,7 +130,8 @@ class NetworkMonitor {
         id: binding["id"].value,
         uri: binding["uri"].value,
         status: binding["status"].value,
-        dockerContainer: containerURI
+        dockerContainer: containerURI,
+        host: binding["host"] ? binding["host"].value : null
       });
     } else {
       return null;
@@ -70,13 +142,14 @@ class NetworkMonitor {
   static async findByRunningContainer(container) {
     const result = await query(`
         ${PREFIXES}
-        SELECT DISTINCT ?uri ?status ?dockerContainer
+        SELECT DISTINCT ?uri ?status ?dockerContainer ?host
         FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
         WHERE {
           ?uri a logger:NetworkMonitor;
                mu:uuid ${sparqlEscapeString(container.id)};
                logger:status ?status;
                logger:monitors ?dockerContainer.
+          OPTIONAL { ?uri logger:dockerHost ?host. }
         }
     `);
     if(result.results.bindings.length > 0) {
@@ -86,30 +159,225 @@ class NetworkMonitor {
         id: container.id,
         uri: binding["uri"].value,
         status: binding["status"].value,
-        dockerContainer: binding["dockerContainer"].value
+        dockerContainer: binding["dockerContainer"].value,
+        host: binding["host"] ? binding["host"].value : null
       });
     } else {
       return null;
     }
   }
 
-  async remove() {
+  async remove({ reason = null, error = null } = {}) {
     this.status = "removed";
-    this.save();
+    await this.save();
+    await this.logEvent("removed", { reason: reason, error: error });
+  }
+
+  // Record a lifecycle event (created, started, restarted, adopted, failed or removed) of this monitor.
+  // reason is the reason of the transition that caused it: delta, event, sync, gc, handoff, upgrade, manual, session
+  // or shutdown. Failing to record an event is logged but not fatal.
+  async logEvent(type, { reason = null, error = null, time = new Date() } = {}) {
+    const id = uuid();
+    const eventUri = `http://mu.semte.ch/network-monitor-events/${id}`;
+    const message = error ? (error.message || `${error}`) : null;
+    try {
+      await update(`
+        ${PREFIXES}
+        INSERT DATA {
+          GRAPH ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)} {
+            ${sparqlEscapeUri(this.uri)} logger:event ${sparqlEscapeUri(eventUri)}.
+            ${sparqlEscapeUri(eventUri)} a logger:MonitorEvent;
+                                         mu:uuid ${sparqlEscapeString(id)};
+                                         logger:eventType ${sparqlEscapeString(type)};
+                                         dct:created ${sparqlEscapeDateTime(time)}.
+            ${reason ? `${sparqlEscapeUri(eventUri)} logger:reason ${sparqlEscapeString(reason)}.` : ''}
+            ${message ? `${sparqlEscapeUri(eventUri)} logger:errorMessage ${sparqlEscapeString(message)}.` : ''}
+          }
+        }
+      `);
+    } catch(e) {
+      console.error(`Failed to record ${type} event for monitor ${this.uri}`);
+      console.error(e);
+    }
+  }
+
+  // Fetch the lifecycle events of this monitor, oldest first.
+  async getEvents() {
+    const result = await query(`
+        ${PREFIXES}
+        SELECT DISTINCT ?id ?type ?created ?reason ?errorMessage
+        FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+        WHERE {
+          ${sparqlEscapeUri(this.uri)} logger:event ?event.
+          ?event a logger:MonitorEvent;
+                 mu:uuid ?id;
+                 logger:eventType ?type;
+                 dct:created ?created.
+          OPTIONAL { ?event logger:reason ?reason. }
+          OPTIONAL { ?event logger:errorMessage ?errorMessage. }
+        }
+        ORDER BY ?created
+    `);
+    return result.results.bindings.map((binding) => {
+      return {
+        id: binding["id"].value,
+        type: binding["type"].value,
+        created: binding["created"].value,
+        reason: binding["reason"] ? binding["reason"].value : null,
+        errorMessage: binding["errorMessage"] ? binding["errorMessage"].value : null
+      };
+    });
+  }
+
+  // Record a network the logged container joined for this monitor, see transitions.connectNetworks.
+  async addNetwork(network) {
+    await update(`
+        ${PREFIXES}
+        INSERT DATA {
+          GRAPH ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)} {
+            ${sparqlEscapeUri(this.uri)} logger:network ${sparqlEscapeString(network)}.
+          }
+        }
+    `);
+  }
+
+  // Fetch the networks the logged container joined for this monitor.
+  // Returns null for monitors saved before their networks were recorded, they don't know which networks are theirs.
+  async getNetworks() {
+    const result = await query(`
+        ${PREFIXES}
+        SELECT DISTINCT ?network
+        FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+        WHERE {
+          ${sparqlEscapeUri(this.uri)} logger:networksRecorded ?recorded.
+          OPTIONAL { ${sparqlEscapeUri(this.uri)} logger:network ?network. }
+        }
+    `);
+    if(result.results.bindings.length == 0) {
+      return null;
+    }
+    return result.results.bindings.filter((binding) => binding["network"]).map((binding) => binding["network"].value);
+  }
+
+  // Replace the recorded containers sharing the network namespace of the logged container, see network-namespaces.js
+  async setAttachedContainers(uris) {
+    await update(`
+        ${PREFIXES}
+        DELETE WHERE {
+          GRAPH ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)} {
+            ${sparqlEscapeUri(this.uri)} logger:attachedContainer ?container.
+          }
+        }
+    `);
+    if(uris.length > 0) {
+      await update(`
+          ${PREFIXES}
+          INSERT DATA {
+            GRAPH ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)} {
+              ${uris.map((uri) => `${sparqlEscapeUri(this.uri)} logger:attachedContainer ${sparqlEscapeUri(uri)}.`).join("\n              ")}
+            }
+          }
+      `);
+    }
+  }
+
+  // Fetch the containers sharing the network namespace of the logged container, captured by this monitor as well.
+  async getAttachedContainers() {
+    const result = await query(`
+        ${PREFIXES}
+        SELECT DISTINCT ?container
+        FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+        WHERE {
+          ${sparqlEscapeUri(this.uri)} logger:attachedContainer ?container.
+        }
+    `);
+    return result.results.bindings.map((binding) => binding["container"].value);
+  }
+
+  // Replace the recorded resource usage of the monitor container by the given sample, see resource-usage.js
+  async saveUsage({ cpuPercent, memoryBytes, pids, sampledAt }) {
+    await update(`
+        ${PREFIXES}
+        DELETE WHERE {
+          GRAPH ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)} {
+            ${sparqlEscapeUri(this.uri)} logger:usageSampledAt ?sampledAt.
+          }
+        };
+        DELETE WHERE {
+          GRAPH ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)} {
+            ${sparqlEscapeUri(this.uri)} logger:cpuUsage ?cpuUsage.
+          }
+        };
+        DELETE WHERE {
+          GRAPH ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)} {
+            ${sparqlEscapeUri(this.uri)} logger:memoryUsage ?memoryUsage.
+          }
+        };
+        DELETE WHERE {
+          GRAPH ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)} {
+            ${sparqlEscapeUri(this.uri)} logger:pidsUsage ?pidsUsage.
+          }
+        };
+        INSERT DATA {
+          GRAPH ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)} {
+            ${sparqlEscapeUri(this.uri)} logger:usageSampledAt ${sparqlEscapeDateTime(sampledAt)};
+                                    logger:cpuUsage ${sparqlEscapeFloat(cpuPercent)};
+                                    logger:memoryUsage ${sparqlEscapeInt(memoryBytes)};
+                                    logger:pidsUsage ${sparqlEscapeInt(pids)}.
+          }
+        }
+    `);
   }
 
+  // Fetch the last recorded resource usage of the monitor container, or null if it hasn't been sampled yet.
+  async getUsage() {
+    const result = await query(`
+        ${PREFIXES}
+        SELECT ?sampledAt ?cpuUsage ?memoryUsage ?pidsUsage
+        FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+        WHERE {
+          ${sparqlEscapeUri(this.uri)} logger:usageSampledAt ?sampledAt;
+                                  logger:cpuUsage ?cpuUsage;
+                                  logger:memoryUsage ?memoryUsage;
+                                  logger:pidsUsage ?pidsUsage.
+        }
+    `);
+    if(result.results.bindings.length > 0) {
+      const binding = result.results.bindings[0];
+      return {
+        cpuPercent: parseFloat(binding["cpuUsage"].value),
+        memoryBytes: parseInt(binding["memoryUsage"].value),
+        pids: parseInt(binding["pidsUsage"].value),
+        sampledAt: binding["sampledAt"].value
+      };
+    } else {
+      return null;
+    }
+  }
+
+  // Fetch the container this network monitor logs. Its status is null if it got deleted, e.g. when the container was removed.
   async getLoggedContainer() {
     const result = await query(`
         ${PREFIXES}
         PREFIX docker: <https://w3.org/ns/bde/docker#>
-        SELECT DISTINCT ?id ?name ?status ?image
+        SELECT DISTINCT ?id ?name ?status ?image ?composeService ?composeProject
         FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
         WHERE {
           ${sparqlEscapeUri(this.dockerContainer)} a docker:Container;
                                                      docker:id ?id;
                                                      docker:name ?name;
-                                                     docker:image ?image;
-                                                     docker:state/docker:status ?status.
+                                                     docker:image ?image.
+          OPTIONAL { ${sparqlEscapeUri(this.dockerContainer)} docker:state/docker:status ?status. }
+          OPTIONAL {
+            ${sparqlEscapeUri(this.dockerContainer)} docker:label ?serviceLabel.
+            ?serviceLabel docker:key "com.docker.compose.service";
+                          docker:value ?composeService.
+          }
+          OPTIONAL {
+            ${sparqlEscapeUri(this.dockerContainer)} docker:label ?projectLabel.
+            ?projectLabel docker:key "com.docker.compose.project";
+                          docker:value ?composeProject.
+          }
         }
 
     `);
@@ -119,8 +387,10 @@ class NetworkMonitor {
         uri: this.dockerContainer,
         id: binding["id"].value,
         name: binding["name"].value,
-        status: binding["status"].value,
-        image: binding["image"].value
+        status: binding["status"] ? binding["status"].value : null,
+        image: binding["image"].value,
+        composeService: binding["composeService"] ? binding["composeService"].value : null,
+        composeProject: binding["composeProject"] ? binding["composeProject"].value : null
       };
     } else {
       return null;
@@ -147,6 +417,27 @@ class NetworkMonitor {
     }
   }
 
+  // Fetch the live state of the monitor container from the docker daemon.
+  // Returns null if the container no longer exists.
+  async dockerState() {
+    try {
+      const info = await docker.inspectContainer(docker.getContainer(this.id, this.host));
+      return {
+        status: info.State.Status,
+        running: info.State.Running,
+        startedAt: info.State.StartedAt,
+        finishedAt: info.State.FinishedAt,
+        exitCode: info.State.ExitCode,
+        error: info.State.Error || null
+      };
+    } catch(error) {
+      if(error.statusCode == 404) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
   async loggedContainerId() {
     const result = await query(`
         PREFIX docker: <https://w3.org/ns/bde/docker#>
@@ -182,11 +473,39 @@ class NetworkMonitor {
             ${sparqlEscapeUri(this.uri)} a logger:NetworkMonitor;
                                     mu:uuid ${sparqlEscapeString(this.id)};
                                     logger:status ${sparqlEscapeString(this.status)};
-                                    logger:monitors ${sparqlEscapeUri(this.dockerContainer)}.
+                                    logger:monitors ${sparqlEscapeUri(this.dockerContainer)};
+                                    logger:networksRecorded ${sparqlEscapeBool(true)}.
+            ${this._optionalTriples()}
           }
        }
    `);
   }
+
+  _optionalTriples() {
+    const triples = [];
+    if(this.listenPorts)
+      triples.push(`${sparqlEscapeUri(this.uri)} logger:listenPorts ${sparqlEscapeString(this.listenPorts)}.`);
+    if(this.maxMessageSize)
+      triples.push(`${sparqlEscapeUri(this.uri)} logger:maxMessageSize ${sparqlEscapeInt(this.maxMessageSize)}.`);
+    if(this.logstashUrl)
+      triples.push(`${sparqlEscapeUri(this.uri)} logger:logstashUrl ${sparqlEscapeString(this.logstashUrl)}.`);
+    if(this.profile)
+      triples.push(`${sparqlEscapeUri(this.uri)} logger:profile ${sparqlEscapeString(this.profile)}.`);
+    if(this.cpuLimit)
+      triples.push(`${sparqlEscapeUri(this.uri)} logger:cpuLimit ${sparqlEscapeFloat(this.cpuLimit)}.`);
+    if(this.memoryLimit)
+      triples.push(`${sparqlEscapeUri(this.uri)} logger:memoryLimit ${sparqlEscapeInt(this.memoryLimit)}.`);
+    if(this.pidsLimit)
+      triples.push(`${sparqlEscapeUri(this.uri)} logger:pidsLimit ${sparqlEscapeInt(this.pidsLimit)}.`);
+    if(this.imageId)
+      triples.push(`${sparqlEscapeUri(this.uri)} logger:imageId ${sparqlEscapeString(this.imageId)}.`);
+    if(this.host)
+      triples.push(`${sparqlEscapeUri(this.uri)} logger:dockerHost ${sparqlEscapeString(this.host)}.`);
+    if(this.replaces)
+      triples.push(`${sparqlEscapeUri(this.uri)} logger:replaces ${sparqlEscapeUri(this.replaces)}.`);
+    return triples.join("\n            ");
+  }
+
   async _update() {
     await update(`
         ${PREFIXES}
@@ -213,4 +532,94 @@ class NetworkMonitor {
   }
 }
 
-export default NetworkMonitor;
+// Network monitors kept in memory instead of the triplestore.
+// Used when containers are followed through docker events, see docker-driver.js.
+// Removed monitors are forgotten, only running, stopped and failed monitors are kept.
+const memoryMonitors = {};
+
+class MemoryNetworkMonitor extends NetworkMonitor {
+  constructor(attributes) {
+    super(attributes);
+    this.events = [];
+    this.networks = [];
+    this.attachedContainers = [];
+  }
+
+  static async findAll(status=null) {
+    return Object.values(memoryMonitors).filter((monitor) => status == null || monitor.status == status);
+  }
+
+  static async find(id) {
+    return memoryMonitors[id] || null;
+  }
+
+  static async findByLoggedContainer(containerURI, status="running") {
+    return Object.values(memoryMonitors).find((monitor) => monitor.dockerContainer == containerURI && monitor.status == status) || null;
+  }
+
+  static async findByRunningContainer(container) {
+    return memoryMonitors[container.id] || null;
+  }
+
+  async logEvent(type, { reason = null, error = null, time = new Date() } = {}) {
+    this.events.push({
+      id: uuid(),
+      type: type,
+      created: time.toISOString(),
+      reason: reason,
+      errorMessage: error ? (error.message || `${error}`) : null
+    });
+  }
+
+  async getEvents() {
+    return this.events;
+  }
+
+  async addNetwork(network) {
+    this.networks.push(network);
+  }
+
+  async getNetworks() {
+    return this.networks;
+  }
+
+  async setAttachedContainers(uris) {
+    this.attachedContainers = uris;
+  }
+
+  async getAttachedContainers() {
+    return this.attachedContainers;
+  }
+
+  async saveUsage(usage) {
+    this.usage = Object.assign({}, usage, { sampledAt: usage.sampledAt.toISOString() });
+  }
+
+  async getUsage() {
+    return this.usage || null;
+  }
+
+  async getLoggedContainer() {
+    return dockerDriver.getContainer(this.dockerContainer);
+  }
+
+  async containerStatus() {
+    const state = await this.dockerState();
+    return state ? state.status : undefined;
+  }
+
+  async loggedContainerId() {
+    return (await this.getLoggedContainer()).id;
+  }
+
+  async save() {
+    if(this.status == "removed") {
+      delete memoryMonitors[this.id];
+    } else {
+      memoryMonitors[this.id] = this;
+    }
+    this._persisted = true;
+  }
+}
+
+export default CAPTURE_DRIVER == "docker" ? MemoryNetworkMonitor : NetworkMonitor;
@@ -0,0 +1,100 @@
+import { CAPTURE_HOST_NETWORK } from './environment';
+import docker from './docker';
+import dockerHosts from './docker-hosts';
+
+// Logged containers sharing a network namespace share a single monitor, as every monitor in the namespace
+// would capture the same traffic. A container shares the namespace of another one through
+// network_mode "container:<id>" or "service:<name>", or the namespace of the host through network_mode "host".
+// Per namespace one container gets the monitor, the others are recorded on it as attached containers.
+// Containers on host networking are skipped, unless CAPTURE_HOST_NETWORK is "capture":
+// then they share one monitor on the host network of their docker host.
+
+const MAX_DEPTH = 5; // Containers sharing the namespace of a container which shares another one's
+
+// Network modes by container id, a container can't change its network mode
+let modes = {};
+const skippedHost = new Set();
+
+export default {
+  group,
+  isShared
+};
+
+/**
+ * Group the given logged containers by network namespace and return one container per namespace, to be monitored.
+ * It carries the URIs of the other containers in its namespace as namespaceMembers.
+ * The container to monitor is the one already monitored according to monitoredUris,
+ * otherwise the container owning the namespace, otherwise the first by name.
+ * Containers on host networking carry hostNetwork, or are left out if CAPTURE_HOST_NETWORK is "skip".
+ */
+async function group(containers, monitoredUris = new Set()) {
+  const previous = modes;
+  modes = {};
+  const namespaces = {};
+  for(let container of containers) {
+    let namespace;
+    try {
+      namespace = await namespaceOf(container, previous);
+    } catch(error) {
+      console.warn(`Could not inspect the network mode of ${container.name}, monitoring it on its own`);
+      console.warn(error);
+      namespace = { key: container.id, host: false, shared: false };
+    }
+    if(namespace.host && CAPTURE_HOST_NETWORK == "skip") {
+      if(!skippedHost.has(container.id)) {
+        console.log(`Not capturing ${container.name}, it runs on host networking.`);
+        skippedHost.add(container.id);
+      }
+      continue;
+    }
+    namespaces[namespace.key] = namespaces[namespace.key] || { host: namespace.host, containers: [], owners: new Set() };
+    namespaces[namespace.key].containers.push(container);
+    if(!namespace.shared) {
+      namespaces[namespace.key].owners.add(container.uri);
+    }
+  }
+
+  return Object.values(namespaces).map((namespace) => {
+    const members = namespace.containers.slice().sort((a, b) => a.name.localeCompare(b.name));
+    const primary = members.find((container) => monitoredUris.has(container.uri))
+          || members.find((container) => namespace.owners.has(container.uri))
+          || members[0];
+    return Object.assign({}, primary, {
+      namespaceMembers: members.filter((container) => container.uri != primary.uri).map((container) => container.uri),
+      hostNetwork: namespace.host
+    });
+  });
+}
+
+/**
+ * Whether the container runs on host networking or shares the network namespace of another container.
+ */
+async function isShared(container) {
+  return (await namespaceOf(container, modes)).shared;
+}
+
+/**
+ * Returns the network namespace of the container as { key, host, shared }.
+ * key identifies the namespace: the id of the container owning it, or "host:<docker host>" for host networking.
+ * Throws if the container can't be mapped to a docker host.
+ * shared tells whether the container uses the namespace of the host or another container.
+ */
+async function namespaceOf(container, cache) {
+  const host = await dockerHosts.hostOf(container);
+  if(host == null) {
+    throw new Error(`${container.name} can't be mapped to a known docker host`);
+  }
+  let id = container.id;
+  for(let depth = 0; depth < MAX_DEPTH; depth++) {
+    const info = cache[id] || await docker.networkMode(id, host);
+    modes[id] = info;
+    if(info.mode == "host") {
+      return { key: `host:${host}`, host: true, shared: true };
+    }
+    if(!info.mode.startsWith("container:")) {
+      return { key: info.id, host: false, shared: depth > 0 };
+    }
+    id = info.mode.slice("container:".length);
+  }
+  throw new Error(`Network mode of ${container.name} refers to containers more than ${MAX_DEPTH} levels deep`);
+}
@@ -0,0 +1,155 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  PCAP_DIRECTORY,
+  PCAP_ROTATE_SECONDS,
+  PCAP_ROTATE_SIZE,
+  PCAP_RETENTION_SIZE,
+  PCAP_RETENTION_AGE,
+  DRY_RUN
+} from './environment';
+
+// Raw packet capture to rotating pcap files, written by monitors with the pcap profile.
+// Files are organized as <compose project>/<compose service>/<container name>-<timestamp>.pcap[<n>]
+// in PCAP_DIRECTORY, which is the PCAP_HOST_DIRECTORY mounted in this service.
+
+export default {
+  captureVariables,
+  prepareDirectory,
+  list,
+  resolve,
+  enforceRetention
+};
+
+/**
+ * Returns the variables for the pcap profile's command template for the given container.
+ */
+function captureVariables(container, settings) {
+  const name = container.name.replace(/^\//, '');
+  return {
+    captureDirectory: `${safeSegment(settings.composeProject || "_")}/${safeSegment(settings.composeService || name)}`,
+    captureName: safeSegment(name),
+    rotateSeconds: PCAP_ROTATE_SECONDS,
+    rotateSize: PCAP_ROTATE_SIZE,
+    pcapFilter: pcapFilter(settings.listenPorts)
+  };
+}
+
+/**
+ * Create the directory the monitor writes to, tcpdump doesn't create it by itself.
+ */
+async function prepareDirectory(captureDirectory) {
+  await fs.promises.mkdir(path.join(PCAP_DIRECTORY, captureDirectory), { recursive: true });
+}
+
+/**
+ * List all capture files, newest first.
+ */
+async function list() {
+  const files = [];
+  for(let project of await readDirectories(PCAP_DIRECTORY)) {
+    for(let service of await readDirectories(path.join(PCAP_DIRECTORY, project))) {
+      const directory = path.join(PCAP_DIRECTORY, project, service);
+      for(let entry of await fs.promises.readdir(directory, { withFileTypes: true })) {
+        if(entry.isFile() && /\.pcap\d*$/.test(entry.name)) {
+          const stat = await fs.promises.stat(path.join(directory, entry.name));
+          files.push({
+            path: `${project}/${service}/${entry.name}`,
+            project: project,
+            service: service,
+            name: entry.name,
+            size: stat.size,
+            modified: stat.mtime.toISOString()
+          });
+        }
+      }
+    }
+  }
+  return files.sort((a, b) => b.modified.localeCompare(a.modified));
+}
+
+/**
+ * Returns the absolute path of the given capture file, or null if it doesn't exist or lies outside PCAP_DIRECTORY.
+ */
+async function resolve(project, service, name) {
+  if([project, service, name].some((segment) => segment != safeSegment(segment) || segment.startsWith("."))) {
+    return null;
+  }
+  const file = path.join(PCAP_DIRECTORY, project, service, name);
+  try {
+    const stat = await fs.promises.stat(file);
+    return stat.isFile() ? file : null;
+  } catch(error) {
+    return null;
+  }
+}
+
+/**
+ * Remove capture files older than PCAP_RETENTION_AGE hours, then the oldest files until
+ * the total size is below PCAP_RETENTION_SIZE megabytes.
+ * The newest file of every service is kept, as tcpdump may still be writing to it.
+ * In dry-run mode the files are only logged.
+ */
+async function enforceRetention() {
+  const files = await list();
+  const newestPerService = new Set();
+  const candidates = [];
+  for(let file of files) {
+    const service = `${file.project}/${file.service}`;
+    if(newestPerService.has(service)) {
+      candidates.push(file);
+    } else {
+      newestPerService.add(service);
+    }
+  }
+
+  let totalSize = files.reduce((total, file) => total + file.size, 0);
+  const maxSize = PCAP_RETENTION_SIZE * 1000 * 1000;
+  const maxAge = Date.now() - PCAP_RETENTION_AGE * 60 * 60 * 1000;
+  // candidates are sorted newest first, remove from the end
+  for(let file of candidates.reverse()) {
+    if(totalSize <= maxSize && Date.parse(file.modified) >= maxAge) {
+      continue;
+    }
+    if(DRY_RUN) {
+      console.log(`Dry run: not removing capture file ${file.path} (retention)`);
+      totalSize -= file.size;
+      continue;
+    }
+    try {
+      await fs.promises.unlink(path.join(PCAP_DIRECTORY, file.path));
+      totalSize -= file.size;
+      console.log(`Removed capture file ${file.path} (retention)`);
+    } catch(error) {
+      console.error(`Failed to remove capture file ${file.path}`);
+      console.error(error);
+    }
+  }
+}
+
+/**
+ * Build a BPF filter from a YAML array of ports, or null to capture all traffic.
+ */
+function pcapFilter(listenPorts) {
+  if(!listenPorts) {
+    return null;
+  }
+  const ports = listenPorts.replace(/[\[\]\s]/g, '').split(',').filter((port) => port.length > 0);
+  return ports.length > 0 ? ports.map((port) => `port ${port}`).join(' or ') : null;
+}
+
+function safeSegment(segment) {
+  return segment.replace(/[^\w.-]/g, '_');
+}
+
+async function readDirectories(directory) {
+  try {
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+    return entries.filter((entry) => entry.isDirectory()).map((entry) => entry.name);
+  } catch(error) {
+    if(error.code == 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
@@ -0,0 +1,165 @@
+import fs from 'fs';
+import { MONITOR_PROFILES_FILE, MONITOR_PROFILE, PCAP_IMAGE, PCAP_HOST_DIRECTORY } from './environment';
+
+// A monitor profile describes the sidecar attached to a logged container:
+// - image: image of the monitor container
+// - env: environment of the monitor container, see renderEnv for the template syntax
+// - cmd: command of the monitor container, rendered like env. The image's default command if empty.
+// - capabilities: capabilities added to the monitor container
+// - mounts: binds of the monitor container, as "host-path:container-path[:options]"
+// - networks: networks the *logged* container joins, as the monitor shares its network namespace
+// - sink: whether the monitor ships to a log sink, in which case the logged container also joins the sink's networks, see log-sinks.js
+
+const PACKETBEAT_PROFILE = {
+  image: process.env.MONITOR_IMAGE,
+  env: [
+    "LOGSTASH_URL={{logstashUrl}}",
+    "DOCKER_ID={{containerId}}",
+    "DOCKER_NAME={{containerName}}",
+    "DOCKER_IMAGE={{containerImage}}",
+    "COMPOSE_SERVICE={{composeService:-null}}",
+    "COMPOSE_PROJECT={{composeProject:-null}}",
+    "PACKETBEAT_MAX_MESSAGE_SIZE={{maxMessageSize}}",
+    "PACKETBEAT_LISTEN_PORTS={{listenPorts}}"
+  ],
+  capabilities: ["NET_ADMIN", "NET_RAW"],
+  mounts: [],
+  networks: [],
+  sink: true,
+  cmd: []
+};
+
+export const PCAP_PROFILE_NAME = "pcap";
+
+// Writes raw packets to rotating pcap files in PCAP_HOST_DIRECTORY, see pcap.js
+const PCAP_PROFILE = {
+  image: PCAP_IMAGE,
+  env: [],
+  capabilities: ["NET_ADMIN", "NET_RAW"],
+  mounts: [`${PCAP_HOST_DIRECTORY}:/captures`],
+  networks: [],
+  sink: false,
+  cmd: [
+    "-i", "any",
+    "-n",
+    "-Z", "root",
+    "-w", "/captures/{{captureDirectory}}/{{captureName}}-%Y%m%d-%H%M%S.pcap",
+    "-G", "{{rotateSeconds}}",
+    "-C", "{{rotateSize}}",
+    "{{pcapFilter}}"
+  ]
+};
+
+const profiles = loadProfiles();
+
+export default {
+  get,
+  exists,
+  all,
+  renderEnv,
+  renderCmd
+};
+
+/**
+ * Load the built-in packetbeat profile and the profiles from MONITOR_PROFILES_FILE, if it exists.
+ * Profiles in the file override built-in profiles with the same name.
+ */
+function loadProfiles() {
+  const loaded = { packetbeat: PACKETBEAT_PROFILE };
+  if(PCAP_HOST_DIRECTORY) {
+    loaded[PCAP_PROFILE_NAME] = PCAP_PROFILE;
+  }
+  if(fs.existsSync(MONITOR_PROFILES_FILE)) {
+    const config = JSON.parse(fs.readFileSync(MONITOR_PROFILES_FILE, 'utf8'));
+    for(let name of Object.keys(config)) {
+      loaded[name] = validateProfile(name, config[name]);
+    }
+    console.log(`Loaded monitor profiles from ${MONITOR_PROFILES_FILE}: ${Object.keys(config).join(", ")}`);
+  }
+  if(!loaded[MONITOR_PROFILE]) {
+    throw new Error(`Default monitor profile ${MONITOR_PROFILE} is not defined`);
+  }
+  return loaded;
+}
+
+function validateProfile(name, profile) {
+  if(typeof profile.image != "string" || profile.image.length == 0) {
+    throw new Error(`Monitor profile ${name} has no image`);
+  }
+  for(let key of ["env", "capabilities", "mounts", "networks", "cmd"]) {
+    if(profile[key] !== undefined && !Array.isArray(profile[key])) {
+      throw new Error(`Monitor profile ${name}: ${key} must be an array`);
+    }
+  }
+  if(profile.sink !== undefined && typeof profile.sink != "boolean") {
+    throw new Error(`Monitor profile ${name}: sink must be a boolean`);
+  }
+  return {
+    image: profile.image,
+    env: profile.env || [],
+    capabilities: profile.capabilities || [],
+    mounts: profile.mounts || [],
+    networks: profile.networks || [],
+    sink: profile.sink !== false,
+    cmd: profile.cmd || []
+  };
+}
+
+/**
+ * Returns the profile with the given name, or the default profile if no name is given.
+ */
+function get(name) {
+  return profiles[name || MONITOR_PROFILE];
+}
+
+function exists(name) {
+  return profiles[name] !== undefined;
+}
+
+/**
+ * Returns all profiles as name-profile object.
+ */
+function all() {
+  return profiles;
+}
+
+/**
+ * Render the env template of the profile with the given variables.
+ */
+function renderEnv(profile, variables) {
+  return render(profile.env, variables);
+}
+
+/**
+ * Render the cmd template of the profile with the given variables.
+ * Returns undefined for an empty command, so the image's default command is used.
+ */
+function renderCmd(profile, variables) {
+  return profile.cmd.length > 0 ? render(profile.cmd, variables) : undefined;
+}
+
+/**
+ * "{{name}}" is replaced by the variable, "{{name:-default}}" falls back to default if the variable is not set.
+ * Entries referencing a variable which is not set and has no default are left out.
+ */
+function render(entries, variables) {
+  const result = [];
+  for(let entry of entries) {
+    let missing = false;
+    const rendered = entry.replace(/{{\s*([\w]+)(?::-([^}]*))?\s*}}/g, (_match, name, fallback) => {
+      const value = variables[name];
+      if(value !== null && value !== undefined) {
+        return `${value}`;
+      } else if(fallback !== undefined) {
+        return fallback;
+      } else {
+        missing = true;
+        return "";
+      }
+    });
+    if(!missing) {
+      result.push(rendered);
+    }
+  }
+  return result;
+}
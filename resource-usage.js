@@ -0,0 +1,70 @@
+import { DRY_RUN } from './environment';
+import docker from './docker';
+import NetworkMonitor from './network-monitor';
+
+// Periodic sampling of the resource usage of running monitor containers through docker stats.
+// The last sample of every monitor is stored on the monitor and kept in memory for the metrics.
+
+// Last sample by monitor id
+const samples = {};
+
+export default {
+  sample,
+  lastSamples
+};
+
+/**
+ * Sample the resource usage of all running monitors.
+ * A monitor which can't be sampled is skipped, its container may just have been removed.
+ * In dry-run mode the samples are only kept in memory.
+ */
+async function sample() {
+  const monitors = await NetworkMonitor.findAll("running");
+  const runningIds = new Set(monitors.map((monitor) => monitor.id));
+  for(let id of Object.keys(samples)) {
+    if(!runningIds.has(id)) {
+      delete samples[id];
+    }
+  }
+  for(let monitor of monitors) {
+    try {
+      const usage = toUsage(await docker.stats(docker.getContainer(monitor.id, monitor.host)));
+      if(!DRY_RUN) {
+        await monitor.saveUsage(usage);
+      }
+      samples[monitor.id] = usage;
+    } catch(error) {
+      console.warn(`Failed to sample resource usage of monitor ${monitor.id}`);
+      console.warn(error.message || error);
+    }
+  }
+}
+
+/**
+ * Returns the last sample of every running monitor as { id, usage } objects.
+ */
+function lastSamples() {
+  return Object.keys(samples).map((id) => ({ id: id, usage: samples[id] }));
+}
+
+/**
+ * Convert a docker stats sample into usage: CPU as percentage of one CPU, memory in bytes
+ * without page cache, like docker stats reports them, and the number of processes.
+ */
+function toUsage(stats) {
+  const cpuDelta = stats.cpu_stats.cpu_usage.total_usage - stats.precpu_stats.cpu_usage.total_usage;
+  const systemDelta = (stats.cpu_stats.system_cpu_usage || 0) - (stats.precpu_stats.system_cpu_usage || 0);
+  const onlineCpus = stats.cpu_stats.online_cpus
+        || (stats.cpu_stats.cpu_usage.percpu_usage ? stats.cpu_stats.cpu_usage.percpu_usage.length : 1);
+  const cpuPercent = systemDelta > 0 && cpuDelta > 0 ? (cpuDelta / systemDelta) * onlineCpus * 100 : 0;
+
+  const memoryStats = stats.memory_stats || {};
+  const cache = memoryStats.stats ? (memoryStats.stats.inactive_file || memoryStats.stats.cache || 0) : 0;
+
+  return {
+    cpuPercent: Math.round(cpuPercent * 100) / 100,
+    memoryBytes: Math.max((memoryStats.usage || 0) - cache, 0),
+    pids: stats.pids_stats && stats.pids_stats.current ? stats.pids_stats.current : 0,
+    sampledAt: new Date()
+  };
+}
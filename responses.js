@@ -0,0 +1,22 @@
+import { DRY_RUN } from './environment';
+
+// Helpers to answer API requests, shared by the endpoints of the service
+
+/**
+ * Send a JSON:API error response with the given status and title.
+ */
+export function sendError(res, status, title) {
+  res.status(status).send({ errors: [ { status: `${status}`, title: title } ] });
+}
+
+/**
+ * Respond 503 to a request which changes monitors, policies or sessions when the service runs in dry-run mode.
+ * Returns true if the request was rejected.
+ */
+export function rejectInDryRun(res) {
+  if(DRY_RUN) {
+    sendError(res, 503, "Not available in dry-run mode");
+    return true;
+  }
+  return false;
+}
@@ -0,0 +1,105 @@
+import { sparqlEscapeUri, sparqlEscapeDateTime } from 'mu';
+import { query } from './sparql';
+import {
+  MONITOR_RESTART_BACKOFF,
+  MONITOR_RESTART_BACKOFF_MAX,
+  MONITOR_RESTART_MAX_FAILURES,
+  MONITOR_RESTART_FAILURE_WINDOW
+} from './environment';
+
+// Timestamps of recent restart attempts, keyed by logged container URI
+const attempts = {};
+
+// Reasons of restarts which don't count as attempts, see transitions.restartMonitor
+const EXEMPT_REASONS = ["manual", "upgrade", "session"];
+
+export default {
+  resume,
+  isBackingOff,
+  isCrashLooping,
+  recordRestart,
+  reset,
+  recentAttempts
+};
+
+/**
+ * Returns the restart attempts for the given logged container within the failure window.
+ */
+function recentAttempts(containerUri, now = Date.now()) {
+  const recent = (attempts[containerUri] || []).filter((time) => now - time < MONITOR_RESTART_FAILURE_WINDOW);
+  if(recent.length > 0) {
+    attempts[containerUri] = recent;
+  } else {
+    delete attempts[containerUri];
+  }
+  return recent;
+}
+
+/**
+ * Whether the next restart of the monitor for the given logged container has to wait.
+ * The delay doubles with every attempt within the failure window, up to MONITOR_RESTART_BACKOFF_MAX.
+ */
+function isBackingOff(containerUri, now = Date.now()) {
+  const recent = recentAttempts(containerUri, now);
+  if(recent.length == 0) {
+    return false;
+  }
+  const delay = Math.min(MONITOR_RESTART_BACKOFF * Math.pow(2, recent.length - 1), MONITOR_RESTART_BACKOFF_MAX);
+  return now < recent[recent.length - 1] + delay;
+}
+
+/**
+ * Whether the monitor for the given logged container has been restarted too often within the failure window.
+ */
+function isCrashLooping(containerUri, now = Date.now()) {
+  return recentAttempts(containerUri, now).length >= MONITOR_RESTART_MAX_FAILURES;
+}
+
+/**
+ * Record a restart attempt. Returns the number of attempts within the failure window.
+ */
+function recordRestart(containerUri, now = Date.now()) {
+  const recent = recentAttempts(containerUri, now);
+  recent.push(now);
+  attempts[containerUri] = recent;
+  return recent.length;
+}
+
+/**
+ * Forget the restart attempts for the given logged container.
+ */
+function reset(containerUri) {
+  delete attempts[containerUri];
+}
+
+/**
+ * Load the restart attempts within the failure window from the monitor history, so a crash loop is still detected
+ * after the service restarts. Restarted monitors and failed restarts count as attempts, unless their reason is exempt.
+ */
+async function resume(now = Date.now()) {
+  const result = await query(`
+    PREFIX logger: <http://mu.semte.ch/vocabularies/ext/docker-logger/>
+    PREFIX dct: <http://purl.org/dc/terms/>
+    SELECT DISTINCT ?event ?container ?created
+    FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
+    WHERE {
+      ?monitor a logger:NetworkMonitor;
+               logger:monitors ?container;
+               logger:event ?event.
+      ?event logger:eventType ?type;
+             dct:created ?created.
+      VALUES ?type { "restarted" "failed" }
+      OPTIONAL { ?event logger:reason ?reason. }
+      FILTER(?created > ${sparqlEscapeDateTime(new Date(now - MONITOR_RESTART_FAILURE_WINDOW))})
+      FILTER(!BOUND(?reason) || ?reason NOT IN (${EXEMPT_REASONS.map((reason) => `"${reason}"`).join(", ")}))
+    }
+  `);
+  for(let binding of result.results.bindings) {
+    const uri = binding["container"].value;
+    attempts[uri] = (attempts[uri] || []).concat([new Date(binding["created"].value).getTime()]);
+  }
+  for(let uri of Object.keys(attempts)) {
+    attempts[uri].sort((a, b) => a - b);
+  }
+  console.log(`Resumed ${result.results.bindings.length} recent monitor restart attempts`);
+}
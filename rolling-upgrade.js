@@ -0,0 +1,207 @@
+import { MONITOR_PROFILE, MONITOR_UPGRADE_BATCH_SIZE, MONITOR_UPGRADE_PAUSE, DRY_RUN } from './environment';
+import docker from './docker';
+import dockerHosts from './docker-hosts';
+import NetworkMonitor from './network-monitor';
+import profiles from './profiles';
+import transitions from './transitions';
+import { sendError } from './responses';
+
+// Rolling upgrade of running monitors to the current image of their profile.
+// Every monitor records the id of the image it was created from. When the image of its profile
+// changed since, e.g. because MONITOR_IMAGE was bumped or a newer image was pulled, the monitor is outdated
+// and gets restarted, MONITOR_UPGRADE_BATCH_SIZE monitors at a time with MONITOR_UPGRADE_PAUSE in between.
+
+// Progress of the last upgrade run
+let progress = {
+  status: "idle",
+  startedAt: null,
+  finishedAt: null,
+  total: 0,
+  upgraded: 0,
+  failed: 0
+};
+let cancelled = false;
+// Number of outdated monitors found by the last check, null until the first check
+let lastOutdatedCount = null;
+
+export default {
+  outdatedMonitors,
+  outdatedCount,
+  run,
+  cancel,
+  status
+};
+
+/**
+ * Returns the running monitors whose image differs from the current image of their profile on their docker host,
+ * as { monitor, imageId, targetImageId } objects.
+ * Monitors of a profile which no longer exists, or whose image is not available locally, are left out.
+ */
+async function outdatedMonitors() {
+  const targetImages = await currentImages();
+  const outdated = [];
+  for(let monitor of await NetworkMonitor.findAll("running")) {
+    const targetImageId = (targetImages[monitor.host || dockerHosts.defaultHost()] || {})[monitor.profile || MONITOR_PROFILE];
+    if(!targetImageId)
+      continue;
+    const imageId = await monitorImageId(monitor);
+    if(imageId && imageId != targetImageId) {
+      outdated.push({ monitor: monitor, imageId: imageId, targetImageId: targetImageId });
+    }
+  }
+  lastOutdatedCount = outdated.length;
+  return outdated;
+}
+
+/**
+ * Returns the number of outdated monitors found by the last check, without inspecting images, or null if none ran yet.
+ */
+function outdatedCount() {
+  return lastOutdatedCount;
+}
+
+/**
+ * Restart all outdated monitors in batches, unless an upgrade is already running.
+ */
+async function run() {
+  if(progress.status == "running")
+    return;
+
+  const outdated = await outdatedMonitors();
+  if(outdated.length == 0)
+    return;
+  if(DRY_RUN) {
+    console.log(`Dry run: not upgrading ${outdated.length} outdated monitors`);
+    return;
+  }
+
+  console.log(`Upgrading ${outdated.length} outdated monitors in batches of ${MONITOR_UPGRADE_BATCH_SIZE}`);
+  cancelled = false;
+  progress = {
+    status: "running",
+    startedAt: new Date(),
+    finishedAt: null,
+    total: outdated.length,
+    upgraded: 0,
+    failed: 0
+  };
+  try {
+    for(let start = 0; start < outdated.length && !cancelled; start += MONITOR_UPGRADE_BATCH_SIZE) {
+      const batch = outdated.slice(start, start + MONITOR_UPGRADE_BATCH_SIZE);
+      await Promise.all(batch.map((entry) => upgradeMonitor(entry)));
+      console.log(`Upgraded ${progress.upgraded} of ${progress.total} outdated monitors, ${progress.failed} failed`);
+      if(start + MONITOR_UPGRADE_BATCH_SIZE < outdated.length && !cancelled) {
+        await new Promise((resolve) => setTimeout(resolve, MONITOR_UPGRADE_PAUSE));
+      }
+    }
+  } finally {
+    progress.status = cancelled ? "cancelled" : "idle";
+    progress.finishedAt = new Date();
+  }
+}
+
+/**
+ * Stop the running upgrade after the current batch.
+ */
+function cancel() {
+  cancelled = true;
+}
+
+/**
+ * GET /upgrade
+ * Reports the current image of every profile on every docker host, the outdated monitors and the progress of the last upgrade run.
+ */
+async function status(req, res) {
+  try {
+    const outdated = await outdatedMonitors();
+    res.status(200).send({
+      data: {
+        images: await currentImages(),
+        outdated: outdated.map((entry) => ({
+          id: entry.monitor.id,
+          uri: entry.monitor.uri,
+          profile: entry.monitor.profile,
+          host: entry.monitor.host || dockerHosts.defaultHost(),
+          imageId: entry.imageId,
+          targetImageId: entry.targetImageId
+        })),
+        run: {
+          status: progress.status,
+          startedAt: progress.startedAt ? progress.startedAt.toISOString() : null,
+          finishedAt: progress.finishedAt ? progress.finishedAt.toISOString() : null,
+          total: progress.total,
+          upgraded: progress.upgraded,
+          failed: progress.failed
+        }
+      }
+    });
+  } catch(error) {
+    console.error("ERROR: Failed to check monitor images");
+    console.error(error);
+    sendError(res, 500, "Failed to check monitor images");
+  }
+}
+
+/**
+ * Restart the monitor through the transition queue and check whether its replacement runs the target image.
+ */
+async function upgradeMonitor({ monitor, targetImageId }) {
+  try {
+    const container = await monitor.getLoggedContainer();
+    if(container == null) {
+      throw new Error(`Logged container ${monitor.dockerContainer} not found`);
+    }
+    transitions.enqueue(container, monitor, transitions.restartMonitor, { reason: "upgrade" });
+    await transitions.wait(container);
+
+    const replacement = await NetworkMonitor.findByLoggedContainer(container.uri);
+    const replacementImageId = replacement ? (await NetworkMonitor.find(replacement.id)).imageId : null;
+    if(replacementImageId == targetImageId) {
+      progress.upgraded++;
+    } else {
+      console.error(`Monitor for ${container.name} still doesn't run image ${targetImageId} after upgrading`);
+      progress.failed++;
+    }
+  } catch(error) {
+    console.error(`Failed to upgrade monitor ${monitor.uri}`);
+    console.error(error);
+    progress.failed++;
+  }
+}
+
+/**
+ * Returns the id of the current image of every profile on every docker host, as name-id objects by host name.
+ */
+async function currentImages() {
+  const images = {};
+  for(let host of dockerHosts.all()) {
+    images[host] = {};
+    for(let [name, profile] of Object.entries(profiles.all())) {
+      try {
+        images[host][name] = (await docker.inspectImage(profile.image, host)).Id;
+      } catch(error) {
+        if(error.statusCode != 404) {
+          throw error;
+        }
+      }
+    }
+  }
+  return images;
+}
+
+/**
+ * The image id the monitor recorded, or the image of its container for monitors created before image ids were recorded.
+ */
+async function monitorImageId(monitor) {
+  if(monitor.imageId) {
+    return monitor.imageId;
+  }
+  try {
+    return (await docker.inspectContainer(docker.getContainer(monitor.id, monitor.host))).Image;
+  } catch(error) {
+    if(error.statusCode == 404) {
+      return null;
+    }
+    throw error;
+  }
+}
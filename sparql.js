@@ -0,0 +1,34 @@
+import { query as muQuery, update as muUpdate } from 'mu';
+
+// SPARQL access of the service. Queries and updates go to the triplestore through the mu helpers,
+// unless another backend is plugged in with useBackend, like the in-memory triplestore of the end-to-end tests.
+// A backend has an async query and update function, taking a SPARQL string and returning the parsed SPARQL JSON results.
+
+let backend = { query: muQuery, update: muUpdate };
+
+export default {
+  query,
+  update,
+  useBackend
+};
+
+/**
+ * Run a SPARQL query on the triplestore.
+ */
+export function query(queryString) {
+  return backend.query(queryString);
+}
+
+/**
+ * Run a SPARQL update on the triplestore.
+ */
+export function update(queryString) {
+  return backend.update(queryString);
+}
+
+/**
+ * Send all following queries and updates to the given backend instead of the triplestore.
+ */
+export function useBackend(other) {
+  backend = other;
+}
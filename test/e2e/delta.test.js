@@ -0,0 +1,107 @@
+import { before, after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { start, LOGGING_NETWORK } from '../support/service';
+
+// Monitors follow the status changes of containers through delta notifications.
+
+let service;
+
+before(async () => {
+  service = await start();
+});
+
+after(async () => {
+  await service.shutdown();
+});
+
+test("creates a monitor when a logged container starts", async () => {
+  const web = service.run("web");
+  assert.equal((await service.publish()).status, 200);
+  await service.settle();
+
+  const monitors = await service.monitorsOf(web.uri, "running");
+  assert.equal(monitors.length, 1);
+  const [monitorContainer] = service.monitorContainersOf(web.uri);
+  assert.equal(monitorContainer.Id, monitors[0].id);
+  assert.equal(monitorContainer.Name, "/web-monitor");
+  assert.equal(monitorContainer.State.Status, "running");
+  assert.equal(monitorContainer.HostConfig.NetworkMode, `container:${web.id}`);
+  assert.ok(service.docker.networksOf(web.id).includes(LOGGING_NETWORK));
+  assert.deepEqual(await monitors[0].getNetworks(), [LOGGING_NETWORK]);
+});
+
+test("leaves containers which are not logged alone", async () => {
+  const db = service.run("db", { logged: false });
+  await service.publish();
+  await service.settle();
+
+  assert.equal((await service.monitorsOf(db.uri)).length, 0);
+  assert.equal(service.monitorContainersOf(db.uri).length, 0);
+});
+
+test("removes the monitor when the logged container stops", async () => {
+  const worker = service.run("worker");
+  await service.publish();
+  await service.settle();
+  const [monitor] = await service.monitorsOf(worker.uri, "running");
+
+  service.docker.stop(worker.id);
+  await service.publish();
+  await service.settle();
+
+  assert.equal((await service.monitorsOf(worker.uri, "running")).length, 0);
+  assert.equal((await service.NetworkMonitor.find(monitor.id)).status, "removed");
+  assert.equal(service.monitorContainersOf(worker.uri).length, 0);
+  assert.ok(!service.docker.networksOf(worker.id).includes(LOGGING_NETWORK));
+});
+
+test("restarts a monitor which crashed", async () => {
+  const api = service.run("api");
+  await service.publish();
+  await service.settle();
+  const [crashed] = await service.monitorsOf(api.uri, "running");
+
+  service.docker.crash(crashed.id);
+  await service.publish();
+  await service.settle();
+
+  const [restarted] = await service.monitorsOf(api.uri, "running");
+  assert.notEqual(restarted.id, crashed.id);
+  assert.equal((await service.NetworkMonitor.find(crashed.id)).status, "removed");
+  assert.equal(service.docker.find(crashed.id), null);
+  assert.equal(service.docker.find(restarted.id).State.Status, "running");
+  assert.deepEqual(await restarted.getNetworks(), [LOGGING_NETWORK]);
+});
+
+test("acts once on the final status of a flapping container", async () => {
+  const flaky = service.run("flaky");
+  await service.publish();
+  for(let i = 0; i < 3; i++) {
+    service.docker.crash(flaky.id);
+    await service.publish();
+    service.docker.restart(flaky.id);
+    await service.publish();
+  }
+  await service.settle();
+
+  assert.equal((await service.monitorsOf(flaky.uri)).length, 1, "a single monitor, never removed");
+  assert.equal((await service.monitorsOf(flaky.uri, "running")).length, 1);
+  assert.equal(service.monitorContainersOf(flaky.uri).length, 1);
+});
+
+test("removes the monitor of a flapping container which ends up stopped", async () => {
+  const unstable = service.run("unstable");
+  await service.publish();
+  await service.settle();
+
+  service.docker.crash(unstable.id);
+  await service.publish();
+  service.docker.restart(unstable.id);
+  await service.publish();
+  service.docker.crash(unstable.id);
+  await service.publish();
+  await service.settle();
+
+  assert.equal((await service.monitorsOf(unstable.uri, "running")).length, 0);
+  assert.equal(service.monitorContainersOf(unstable.uri).length, 0);
+});
@@ -0,0 +1,33 @@
+import { before, after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { start, LOGGING_NETWORK, MONITOR_LABEL } from '../support/service';
+
+// In dry-run mode the service only logs what it would do and refuses requests which would change something.
+
+let service;
+
+before(async () => {
+  service = await start({ DRY_RUN: "true" });
+});
+
+after(async () => {
+  await service.shutdown();
+});
+
+test("creates no monitors for logged containers", async () => {
+  const web = service.run("web");
+  await service.publish();
+  await service.settle();
+  await service.sync();
+
+  assert.equal((await service.monitorsOf(web.uri)).length, 0);
+  assert.equal(service.docker.withLabel(MONITOR_LABEL).length, 0);
+  assert.ok(!service.docker.networksOf(web.id).includes(LOGGING_NETWORK));
+});
+
+test("rejects requests which would change capture policies or monitors", async () => {
+  assert.equal((await service.request("POST", "/capture-policies", { labels: ["capture=true"] })).status, 503);
+  assert.equal((await service.request("DELETE", "/capture-policies/logging")).status, 503);
+  assert.equal((await service.request("POST", "/monitors/unknown/restart")).status, 503);
+  assert.equal((await service.request("GET", "/capture-policies")).status, 200);
+});
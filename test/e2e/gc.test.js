@@ -0,0 +1,41 @@
+import { before, after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { start, MONITOR_IMAGE, MONITOR_LABEL } from '../support/service';
+
+// Garbage collection removes the untracked monitor containers of this instance and leaves those of other stacks alone.
+
+const OWNER_LABEL = "mu.semte.ch.networkMonitor.owner";
+
+let service;
+let gc;
+
+before(async () => {
+  service = await start({ MONITOR_OWNER: "stack-a" });
+  gc = (await import('../../monitor-gc')).default;
+});
+
+after(async () => {
+  await service.shutdown();
+});
+
+test("removes untracked monitor containers of its own only", async () => {
+  const web = service.run("web");
+  await service.mirror();
+  await service.sync();
+  const [tracked] = service.monitorContainersOf(web.uri);
+  assert.equal(tracked.Config.Labels[OWNER_LABEL], "stack-a");
+
+  const orphan = service.docker.run({ name: "gone-monitor", image: MONITOR_IMAGE,
+                                      labels: { [MONITOR_LABEL]: "http://mu.semte.ch/docker-containers/gone", [OWNER_LABEL]: "stack-a" } });
+  const foreign = service.docker.run({ name: "other-monitor", image: MONITOR_IMAGE,
+                                       labels: { [MONITOR_LABEL]: "http://other.stack/containers/api", [OWNER_LABEL]: "stack-b" } });
+  const legacy = service.docker.run({ name: "legacy-monitor", image: MONITOR_IMAGE,
+                                      labels: { [MONITOR_LABEL]: "http://other.stack/containers/db" } });
+  await gc.sweep([], { grace: 0 });
+  await service.settle();
+
+  assert.equal(service.docker.find(orphan), null);
+  assert.ok(service.docker.find(foreign), "the monitor of another stack is kept");
+  assert.ok(service.docker.find(legacy), "a monitor without owner belongs to the default owner");
+  assert.ok(service.docker.find(tracked.Id), "tracked monitors are kept");
+});
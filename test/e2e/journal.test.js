@@ -0,0 +1,59 @@
+import { before, after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { start, sleep } from '../support/service';
+
+// The transitions left in the journal by a previous run are replayed on startup.
+
+let service;
+let container;
+
+before(async () => {
+  service = await start({ TRANSITION_TIMEOUT: "500" }, {
+    before: async ({ docker, watcher, directory }) => {
+      // Not logged, so only the replayed transition creates its monitor
+      const id = docker.run({ name: "web" });
+      await watcher.flush();
+      container = { uri: watcher.uri(id), id: id, name: "/web", image: "nginx", hostNetwork: false };
+      fs.writeFileSync(path.join(directory, "transitions.json"), JSON.stringify({
+        containers: [{
+          container: container,
+          actions: [
+            { action: "createMonitor", monitor: null, options: { reason: "sync" }, attempt: 1, interrupted: true },
+            { action: "removeMonitor", monitor: "gone", options: { reason: "sync" }, attempt: 0, interrupted: false }
+          ]
+        }]
+      }));
+    }
+  });
+});
+
+after(async () => {
+  await service.shutdown();
+});
+
+test("replays the interrupted transition and rolls back those of monitors which are gone", async () => {
+  await service.settle();
+
+  assert.equal((await service.monitorsOf(container.uri, "running")).length, 1);
+  assert.equal(service.monitorContainersOf(container.uri).length, 1);
+});
+
+test("journals the running transition with only what's needed to replay it", async () => {
+  const api = service.run("api", { logged: false });
+  await service.mirror();
+  service.docker.hangNext("createContainer");
+  const labelled = Object.assign({}, api, { image: "nginx", labels: { "com.docker.compose.service": "api" }, namespaceMembers: ["http://example.org/sidecar"] });
+  service.transitions.enqueue(labelled, null, service.transitions.createMonitor, { reason: "manual" });
+  await sleep(200); // Past the journal write delay, while the transition hangs
+
+  const journal = JSON.parse(fs.readFileSync(path.join(service.directory, "transitions.json"), 'utf8'));
+  assert.deepEqual(journal.containers, [{
+    container: { uri: api.uri, id: api.id, name: "/api", image: "nginx", hostNetwork: false },
+    actions: [{ action: "createMonitor", monitor: null, options: { reason: "manual" }, attempt: 1, interrupted: true }]
+  }]);
+
+  await service.settle();
+  assert.equal((await service.monitorsOf(api.uri, "running")).length, 1, "retried after the timeout");
+});
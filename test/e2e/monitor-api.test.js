@@ -0,0 +1,60 @@
+import { before, after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { start } from '../support/service';
+
+// The monitor API lists the monitors page by page and restarts or stops them through the transition queue.
+
+let service;
+
+before(async () => {
+  service = await start();
+});
+
+after(async () => {
+  await service.shutdown();
+});
+
+test("lists the monitors which aren't removed, page by page", async () => {
+  const containers = ["web", "api", "db"].map((name) => service.run(name));
+  await service.mirror();
+  await service.sync();
+  service.docker.stop(containers[2].id);
+  await service.publish();
+  await service.settle();
+
+  const all = (await service.request("GET", "/monitors")).body;
+  assert.equal(all.data.length, 2);
+  assert.equal(all.meta.count, 2);
+  assert.ok(all.data.every((monitor) => monitor.status == "running"));
+
+  const removed = (await service.request("GET", "/monitors?status=removed")).body;
+  assert.equal(removed.data.length, 1);
+  assert.equal(removed.data[0].loggedContainer.uri, containers[2].uri);
+
+  const first = (await service.request("GET", "/monitors?limit=1")).body;
+  const second = (await service.request("GET", "/monitors?limit=1&offset=1")).body;
+  assert.equal(first.meta.count, 2);
+  assert.deepEqual([first.data.length, second.data.length], [1, 1]);
+  assert.notEqual(first.data[0].id, second.data[0].id);
+
+  assert.equal((await service.request("GET", "/monitors?limit=0")).status, 400);
+});
+
+test("restarts and stops a monitor", async () => {
+  const worker = service.run("worker");
+  await service.mirror();
+  await service.sync();
+  const [monitor] = await service.monitorsOf(worker.uri, "running");
+
+  assert.equal((await service.request("POST", `/monitors/${monitor.id}/restart`)).status, 202);
+  await service.settle();
+  const [restarted] = await service.monitorsOf(worker.uri, "running");
+  assert.notEqual(restarted.id, monitor.id);
+
+  assert.equal((await service.request("DELETE", `/monitors/${restarted.id}`)).status, 202);
+  await service.settle();
+  assert.equal((await service.monitorsOf(worker.uri, "running")).length, 0);
+  await service.sync();
+  assert.equal((await service.monitorsOf(worker.uri, "running")).length, 0, "a stopped monitor isn't recreated by the sync");
+  assert.equal((await service.request("GET", `/monitors/${monitor.id}`)).body.data.status, "removed");
+});
@@ -0,0 +1,59 @@
+import { before, after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { start, GRAPH } from '../support/service';
+
+// Capture policies decide which containers get a monitor. A typo in the policies doesn't remove all monitors.
+
+const LOGGER = "http://mu.semte.ch/vocabularies/ext/docker-logger/";
+const LOGGING_POLICY = "http://mu.semte.ch/capture-policies/logging";
+
+let service;
+let apiPolicy;
+
+before(async () => {
+  service = await start();
+});
+
+after(async () => {
+  await service.shutdown();
+});
+
+test("captures containers matching a policy created through the API", async () => {
+  const response = await service.request("POST", "/capture-policies", { namePattern: "^/api-" });
+  assert.equal(response.status, 201);
+  apiPolicy = response.body.data.uri;
+  const api = service.run("api-1", { logged: false });
+  const db = service.run("db", { logged: false });
+  await service.mirror();
+  await service.sync();
+
+  assert.equal((await service.monitorsOf(api.uri, "running")).length, 1);
+  assert.equal((await service.monitorsOf(db.uri)).length, 0);
+});
+
+test("rejects an invalid policy", async () => {
+  const response = await service.request("POST", "/capture-policies", { namePattern: "(" });
+  assert.equal(response.status, 400);
+});
+
+test("keeps applying the last valid policies when all policies turn invalid", async () => {
+  const web = service.run("web");
+  await service.mirror();
+  await service.sync();
+  assert.equal((await service.monitorsOf(web.uri, "running")).length, 1);
+
+  await service.triplestore.update(`
+    INSERT DATA { GRAPH <${GRAPH}> {
+      <${LOGGING_POLICY}> <${LOGGER}priority> "high".
+      <${apiPolicy}> <${LOGGER}priority> "high".
+    } }
+  `);
+  await service.sync();
+
+  const listed = (await service.request("GET", "/capture-policies")).body;
+  assert.equal(listed.data.length, 0);
+  assert.equal(listed.invalid.length, 2);
+  assert.equal((await service.monitorsOf(web.uri, "running")).length, 1);
+  const [api] = await service.monitorsOf(service.container("api-1").uri, "running");
+  assert.ok(api, "the monitors matched by the last valid policies are kept");
+});
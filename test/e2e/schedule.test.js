@@ -0,0 +1,51 @@
+import { before, after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { start } from '../support/service';
+
+// Containers with a capture schedule only get a monitor from the sync, while one of their windows is open.
+// The schedules are relative to the current time, since the sync captures at the time it runs.
+
+const DAY = 24 * 3600;
+
+let service;
+
+before(async () => {
+  service = await start();
+});
+
+after(async () => {
+  await service.shutdown();
+});
+
+function scheduled(name, schedule, duration) {
+  return service.run(name, {
+    labels: { "logging.schedule": schedule, "logging.schedule-duration": `${duration}` }
+  });
+}
+
+test("captures a container only while its window is open", async () => {
+  const now = new Date();
+  const always = scheduled("always", "* * * * *", 60);
+  const later = scheduled("later", `0 ${(now.getHours() + 12) % 24} * * *`, 3600);
+  await service.publish();
+  await service.settle();
+  assert.equal((await service.monitorsOf(always.uri)).length, 0, "deltas leave scheduled containers to the sync");
+
+  await service.mirror();
+  await service.sync();
+
+  assert.equal((await service.monitorsOf(always.uri, "running")).length, 1);
+  assert.equal((await service.monitorsOf(later.uri)).length, 0);
+});
+
+test("finds windows opened days ago", async () => {
+  const opened = new Date(Date.now() - 6 * DAY * 1000);
+  const schedule = `${opened.getMinutes()} ${opened.getHours()} ${opened.getDate()} * *`;
+  const open = scheduled("week", schedule, 7 * DAY);
+  const closed = scheduled("five-days", schedule, 5 * DAY);
+  await service.mirror();
+  await service.sync();
+
+  assert.equal((await service.monitorsOf(open.uri, "running")).length, 1);
+  assert.equal((await service.monitorsOf(closed.uri)).length, 0);
+});
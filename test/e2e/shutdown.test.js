@@ -0,0 +1,37 @@
+import { before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { start, LOGGING_NETWORK, MONITOR_LABEL } from '../support/service';
+
+// On shutdown the service stops accepting deltas and removes its monitors.
+
+let service;
+
+before(async () => {
+  service = await start();
+});
+
+test("removes all monitors and rejects deltas on shutdown", async () => {
+  const web = service.run("web");
+  const api = service.run("api");
+  const gone = service.run("gone");
+  await service.publish();
+  await service.settle();
+  assert.equal(service.docker.withLabel(MONITOR_LABEL).length, 3);
+
+  // A logged container removed without the service noticing yet
+  service.docker.destroy(gone.id);
+  await service.mirror();
+
+  await service.shutdown();
+
+  assert.equal(service.docker.withLabel(MONITOR_LABEL).length, 0);
+  assert.equal((await service.NetworkMonitor.findAll("running")).length, 0);
+  for(let container of [web, api]) {
+    assert.equal((await service.monitorsOf(container.uri, "removed")).length, 1);
+    assert.ok(!service.docker.networksOf(container.id).includes(LOGGING_NETWORK));
+  }
+
+  const worker = service.run("worker");
+  assert.equal((await service.publish()).status, 503);
+  assert.equal((await service.monitorsOf(worker.uri)).length, 0);
+});
@@ -0,0 +1,143 @@
+import { before, after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { start, sleep, GRAPH, LOGGING_NETWORK, MONITOR_IMAGE } from '../support/service';
+
+// The sync reconciles the monitors with the logged containers when deltas got lost or docker didn't cooperate.
+
+let service;
+
+before(async () => {
+  service = await start({ MONITOR_RESTART_MAX_FAILURES: "3" });
+});
+
+after(async () => {
+  await service.shutdown();
+});
+
+test("creates monitors for logged containers the deltas missed", async () => {
+  const web = service.run("web");
+  await service.mirror();
+  await service.sync();
+
+  assert.equal((await service.monitorsOf(web.uri, "running")).length, 1);
+  assert.equal(service.monitorContainersOf(web.uri).length, 1);
+});
+
+test("removes a leftover container with the name of the monitor and retries", async () => {
+  service.docker.addImage(MONITOR_IMAGE);
+  const leftover = service.docker.run({ name: "cache-monitor", image: MONITOR_IMAGE });
+  service.docker.crash(leftover);
+  const cache = service.run("cache");
+  await service.mirror();
+  await service.sync();
+
+  const [monitor] = await service.monitorsOf(cache.uri, "running");
+  assert.ok(monitor);
+  assert.equal(service.docker.find(leftover), null);
+  assert.equal(service.docker.find("cache-monitor").Id, monitor.id);
+});
+
+test("replaces a monitor whose container disappeared", async () => {
+  const queue = service.run("queue");
+  await service.mirror();
+  await service.sync();
+  const [vanished] = await service.monitorsOf(queue.uri, "running");
+
+  service.docker.destroy(vanished.id);
+  await service.mirror();
+  await service.sync();
+
+  const [replacement] = await service.monitorsOf(queue.uri, "running");
+  assert.notEqual(replacement.id, vanished.id);
+  assert.equal((await service.NetworkMonitor.find(vanished.id)).status, "removed");
+  assert.equal(service.docker.find(replacement.id).State.Status, "running");
+});
+
+test("marks a crash looping monitor as failed until its container restarts", async () => {
+  const mailer = service.run("mailer");
+  await service.mirror();
+  await service.sync();
+
+  for(let i = 0; i < 4; i++) {
+    const [monitor] = await service.monitorsOf(mailer.uri, "running");
+    service.docker.crash(monitor.id);
+    await service.mirror();
+    await sleep(20); // Past the restart backoff
+    await service.sync();
+  }
+
+  const [failed] = await service.monitorsOf(mailer.uri, "failed");
+  assert.ok(failed, "monitor marked as failed");
+  assert.equal((await service.monitorsOf(mailer.uri, "running")).length, 0);
+  assert.equal(service.monitorContainersOf(mailer.uri).length, 0);
+
+  await service.sync();
+  assert.equal((await service.monitorsOf(mailer.uri, "running")).length, 0, "the sync leaves failed monitors alone");
+
+  service.docker.stop(mailer.id);
+  await service.publish();
+  service.docker.restart(mailer.id);
+  await service.publish();
+  await service.settle();
+  assert.equal((await service.monitorsOf(mailer.uri, "running")).length, 1);
+});
+
+test("cleans up a monitor container which fails to start", async () => {
+  const search = service.run("search");
+  await service.mirror();
+  service.docker.failNext("start", 500, "OCI runtime create failed");
+  await service.sync();
+
+  assert.equal((await service.monitorsOf(search.uri, "running")).length, 0);
+  const [attempt] = await service.monitorsOf(search.uri, "removed");
+  assert.ok(attempt, "failed attempt recorded");
+  assert.deepEqual((await attempt.getEvents()).map((event) => event.type).sort(), ["created", "failed"]);
+  assert.equal(service.monitorContainersOf(search.uri).length, 0);
+
+  await service.sync();
+  assert.equal((await service.monitorsOf(search.uri, "running")).length, 1);
+});
+
+test("leaves networks the logged container already joined connected", async () => {
+  const proxy = service.run("proxy", { networks: [LOGGING_NETWORK] });
+  await service.mirror();
+  await service.sync();
+
+  const [monitor] = await service.monitorsOf(proxy.uri, "running");
+  assert.deepEqual(await monitor.getNetworks(), []);
+
+  service.docker.stop(proxy.id);
+  await service.publish();
+  await service.settle();
+  assert.equal((await service.monitorsOf(proxy.uri, "running")).length, 0);
+  assert.ok(service.docker.networksOf(proxy.id).includes(LOGGING_NETWORK));
+});
+
+test("removes monitors of containers which are no longer logged", async () => {
+  const batch = service.run("batch");
+  await service.mirror();
+  await service.sync();
+
+  service.docker.destroy(batch.id);
+  await service.mirror();
+  await service.sync();
+
+  assert.equal((await service.monitorsOf(batch.uri, "running")).length, 0);
+  assert.equal(service.monitorContainersOf(batch.uri).length, 0);
+});
+
+test("disconnects the networks of the capture settings for a monitor which didn't record its networks", async () => {
+  const legacy = service.run("legacy");
+  await service.mirror();
+  await service.sync();
+  const [monitor] = await service.monitorsOf(legacy.uri, "running");
+  await service.triplestore.update(`
+    DELETE WHERE { GRAPH <${GRAPH}> { <${monitor.uri}> <http://mu.semte.ch/vocabularies/ext/docker-logger/networksRecorded> ?recorded. } }
+  `);
+
+  service.docker.stop(legacy.id);
+  await service.publish();
+  await service.settle();
+  assert.equal((await service.monitorsOf(legacy.uri, "running")).length, 0);
+  assert.ok(!service.docker.networksOf(legacy.id).includes(LOGGING_NETWORK));
+});
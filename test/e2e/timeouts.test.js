@@ -0,0 +1,30 @@
+import { before, after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { start, waitFor } from '../support/service';
+
+// A transition whose docker call hangs times out without holding up the transitions of other containers.
+
+let service;
+
+before(async () => {
+  service = await start({ TRANSITION_CONCURRENCY: "1", TRANSITION_TIMEOUT: "200", TRANSITION_RETRIES: "1" });
+});
+
+after(async () => {
+  await service.shutdown();
+});
+
+test("a hanging docker call gives up its slot and is retried", async () => {
+  service.docker.hangNext("createContainer");
+  const stuck = service.run("stuck");
+  await service.publish();
+  await waitFor(() => service.transitions.queueDepth().running == 1);
+  const other = service.run("other");
+  await service.publish();
+
+  await waitFor(async () => (await service.monitorsOf(other.uri, "running")).length == 1, 2000);
+  await service.settle();
+  assert.equal((await service.monitorsOf(stuck.uri, "running")).length, 1, "retried after the timeout");
+  assert.equal(service.monitorContainersOf(stuck.uri).length, 1);
+  assert.deepEqual(service.transitions.queueDepth(), { containers: 0, pending: 0, processing: 0, running: 0 });
+});
@@ -0,0 +1,102 @@
+// Plays the docker watcher of the stack: mirrors the containers of a docker daemon into the application graph
+// and returns the changes as delta changesets, like mu-delta-notifier would send them.
+// Containers are docker:Container resources with docker:id, docker:name, docker:image, docker:label and docker:state.
+// The status of a removed container is deleted, the rest of its resource stays.
+
+const DOCKER = "https://w3.org/ns/bde/docker#";
+const RDF_TYPE = "http://www.w3.org/1999/02/22-rdf-syntax-ns#type";
+
+export default class DockerWatcher {
+  constructor(docker, triplestore, graph) {
+    this.docker = docker;
+    this.triplestore = triplestore;
+    this.graph = graph;
+    this.statuses = {}; // Mirrored status by container id, null once removed
+  }
+
+  /**
+   * Returns the URI of the container with the given id in the application graph.
+   */
+  uri(id) {
+    return `http://mu.semte.ch/docker-containers/${id}`;
+  }
+
+  /**
+   * Mirror the current containers of the daemon into the application graph.
+   * Returns the changesets of the changes, empty if nothing changed.
+   */
+  async flush() {
+    const inserts = [];
+    const deletes = [];
+    for(let container of Object.values(this.docker.containers)) {
+      const known = this.statuses[container.Id];
+      if(known === undefined) {
+        inserts.push(...this._describe(container));
+      } else if(known != container.State.Status) {
+        deletes.push(this._status(container.Id, known));
+        inserts.push(this._status(container.Id, container.State.Status));
+      }
+      this.statuses[container.Id] = container.State.Status;
+    }
+    for(let id of Object.keys(this.statuses)) {
+      if(this.statuses[id] != null && !this.docker.containers[id]) {
+        deletes.push(this._status(id, this.statuses[id]));
+        this.statuses[id] = null;
+      }
+    }
+    if(inserts.length == 0 && deletes.length == 0) {
+      return [];
+    }
+    if(deletes.length > 0) {
+      await this.triplestore.update(`DELETE DATA { GRAPH <${this.graph}> { ${deletes.map(toNTriple).join("\n")} } }`);
+    }
+    if(inserts.length > 0) {
+      await this.triplestore.update(`INSERT DATA { GRAPH <${this.graph}> { ${inserts.map(toNTriple).join("\n")} } }`);
+    }
+    return [{ inserts: inserts, deletes: deletes }];
+  }
+
+  _describe(container) {
+    const uri = this.uri(container.Id);
+    const triples = [
+      triple(uri, RDF_TYPE, uriTerm(`${DOCKER}Container`)),
+      triple(uri, `${DOCKER}id`, literal(container.Id)),
+      triple(uri, `${DOCKER}name`, literal(container.Name)),
+      triple(uri, `${DOCKER}image`, literal(container.Config.Image)),
+      triple(uri, `${DOCKER}state`, uriTerm(`${uri}/state`)),
+      triple(`${uri}/state`, RDF_TYPE, uriTerm(`${DOCKER}State`)),
+      this._status(container.Id, container.State.Status)
+    ];
+    Object.keys(container.Config.Labels).forEach((key, index) => {
+      const label = `${uri}/labels/${index}`;
+      triples.push(
+        triple(uri, `${DOCKER}label`, uriTerm(label)),
+        triple(label, RDF_TYPE, uriTerm(`${DOCKER}ContainerLabel`)),
+        triple(label, `${DOCKER}key`, literal(key)),
+        triple(label, `${DOCKER}value`, literal(container.Config.Labels[key]))
+      );
+    });
+    return triples;
+  }
+
+  _status(id, status) {
+    return triple(`${this.uri(id)}/state`, `${DOCKER}status`, literal(status));
+  }
+}
+
+function triple(subject, predicate, object) {
+  return { subject: uriTerm(subject), predicate: uriTerm(predicate), object: object };
+}
+
+function uriTerm(value) {
+  return { type: "uri", value: value };
+}
+
+function literal(value) {
+  return { type: "literal", value: `${value}` };
+}
+
+function toNTriple({ subject, predicate, object }) {
+  const term = (term) => term.type == "uri" ? `<${term.value}>` : JSON.stringify(term.value);
+  return `${term(subject)} ${term(predicate)} ${term(object)}.`;
+}
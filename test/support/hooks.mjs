@@ -0,0 +1,34 @@
+import fs from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Module hooks running the service the way mu-javascript-template does:
+// - 'mu' resolves to the stand-in for the template's helpers, see mu.js
+// - relative imports without extension resolve to .js files
+// - the .js files of the service and its tests are ES modules, package.json doesn't say so
+
+const ROOT = new URL('../../', import.meta.url);
+const MU = new URL('./mu.js', import.meta.url);
+
+export async function resolve(specifier, context, nextResolve) {
+  if(specifier == 'mu') {
+    return { url: MU.href, shortCircuit: true };
+  }
+  if(specifier.startsWith('.') && context.parentURL && isOwnModule(context.parentURL)) {
+    const url = new URL(specifier, context.parentURL);
+    if(!url.pathname.endsWith('.js') && !url.pathname.endsWith('.mjs') && fs.existsSync(`${fileURLToPath(url)}.js`)) {
+      return { url: pathToFileURL(`${fileURLToPath(url)}.js`).href, shortCircuit: true };
+    }
+  }
+  return nextResolve(specifier, context);
+}
+
+export async function load(url, context, nextLoad) {
+  if(isOwnModule(url) && url.endsWith('.js')) {
+    return nextLoad(url, Object.assign({}, context, { format: 'module' }));
+  }
+  return nextLoad(url, context);
+}
+
+function isOwnModule(url) {
+  return url.startsWith(ROOT.href) && !url.startsWith(new URL('node_modules/', ROOT).href);
+}
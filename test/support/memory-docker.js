@@ -0,0 +1,421 @@
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { PassThrough } from 'stream';
+
+// In-memory docker daemon with the dockerode API the service uses, plugged into docker.js by the tests.
+// Containers have a name, labels, a network mode and a state, and join networks. Calls fail like the docker API does:
+// - 404 for unknown containers, networks and images
+// - 409 for name conflicts, removing a running container without force
+//   and starting a container in the network namespace of a container which isn't running
+// - 403 for connecting a container to a network it's already connected to, or disconnecting it from one it isn't
+// - 304 for starting a running container or stopping a stopped one
+// Callbacks are called asynchronously, like they would be after a round trip to the daemon.
+// Besides the dockerode API it has helpers for the tests to play the other containers on the host, like run and crash.
+
+const NEVER = "0001-01-01T00:00:00Z";
+
+export default class MemoryDocker extends EventEmitter {
+  /**
+   * images are the images which can be pulled, as if they were in a registry.
+   */
+  constructor({ images = [] } = {}) {
+    super();
+    this.containers = {}; // By id
+    this.networks = {}; // By name
+    this.images = {}; // Pulled images by name
+    this.registry = new Set(images);
+    this.faults = [];
+    this.modem = { followProgress: (stream, onFinished) => followProgress(stream, onFinished) };
+    for(let name of ["bridge", "host", "none"]) {
+      this.createNetwork(name);
+    }
+  }
+
+  // ---- dockerode API
+
+  listContainers(options, callback) {
+    this._call("listContainers", callback, () => {
+      const filters = typeof options.filters == "string" ? JSON.parse(options.filters) : (options.filters || {});
+      return Object.values(this.containers)
+        .filter((container) => options.all || container.State.Running)
+        .filter((container) => matchesFilters(container, filters))
+        .map((container) => ({
+          Id: container.Id,
+          Names: [container.Name],
+          Image: container.Config.Image,
+          ImageID: container.Image,
+          Labels: Object.assign({}, container.Config.Labels),
+          State: container.State.Status,
+          Status: container.State.Status,
+          HostConfig: { NetworkMode: container.HostConfig.NetworkMode }
+        }));
+    });
+  }
+
+  getContainer(id) {
+    const docker = this;
+    return {
+      id: id,
+      inspect: (callback) => docker._call("inspect", callback, () => clone(docker._container(id))),
+      start: (options, callback) => docker._call("start", callback, () => docker._start(docker._container(id))),
+      stop: (options, callback) => docker._call("stop", callback, () => docker._stop(docker._container(id), 0)),
+      remove: (options, callback) => docker._call("remove", callback, () => docker._remove(docker._container(id), options.force)),
+      stats: (options, callback) => docker._call("stats", callback, () => docker._stats(docker._container(id)))
+    };
+  }
+
+  getNetwork(name) {
+    const docker = this;
+    return {
+      id: name,
+      connect: (options, callback) => docker._call("connect", callback, () => docker._connect(options.Container, name)),
+      disconnect: (options, callback) => docker._call("disconnect", callback, () => docker._disconnect(options.Container, name))
+    };
+  }
+
+  getImage(name) {
+    return {
+      name: name,
+      inspect: (callback) => this._call("inspectImage", callback, () => {
+        if(!this.images[name]) {
+          throw dockerError(404, "no such image", `No such image: ${name}`);
+        }
+        return clone(this.images[name]);
+      })
+    };
+  }
+
+  pull(image, callback) {
+    this._call("pull", callback, () => {
+      if(!this.registry.has(image)) {
+        throw dockerError(404, "not found", `pull access denied for ${image}, repository does not exist or may require 'docker login'`);
+      }
+      this.addImage(image);
+      const stream = new PassThrough();
+      stream.end(JSON.stringify({ status: `Status: Image is up to date for ${image}` }) + "\n");
+      return stream;
+    });
+  }
+
+  ping(callback) {
+    this._call("ping", callback, () => "OK");
+  }
+
+  getEvents(options, callback) {
+    this._call("getEvents", callback, () => {
+      const filters = options.filters || {};
+      const stream = new PassThrough();
+      const listener = (event) => {
+        if((!filters.type || filters.type.includes(event.Type)) && (!filters.event || filters.event.includes(event.Action))) {
+          stream.write(JSON.stringify(event) + "\n");
+        }
+      };
+      this.on("event", listener);
+      stream.on("close", () => this.removeListener("event", listener));
+      return stream;
+    });
+  }
+
+  createContainer(options, callback) {
+    const promise = new Promise((resolve, reject) => {
+      this._call("createContainer", (err, id) => err ? reject(err) : resolve(this.getContainer(id)), () => this._create(options));
+    });
+    if(callback) {
+      promise.then((container) => callback(null, container), callback);
+      return undefined;
+    }
+    return promise;
+  }
+
+  // ---- Helpers for the tests
+
+  /**
+   * Make the given image available without pulling it.
+   */
+  addImage(name) {
+    this.registry.add(name);
+    if(!this.images[name]) {
+      this.images[name] = { Id: `sha256:${randomId()}`, RepoTags: [name] };
+    }
+  }
+
+  createNetwork(name) {
+    this.networks[name] = this.networks[name] || { Id: randomId(), Name: name, Containers: new Set() };
+  }
+
+  /**
+   * Create and start a container, like docker run -d. Returns its id.
+   */
+  run({ name, image = "nginx", labels = {}, networkMode = "default", networks = [] }) {
+    this.addImage(image);
+    const id = this._create({ name: name, Image: image, Labels: labels, HostConfig: { NetworkMode: networkMode } });
+    for(let network of networks) {
+      this._connect(id, network);
+    }
+    this._start(this.containers[id]);
+    return id;
+  }
+
+  /**
+   * Let a running container exit unexpectedly with the given exit code.
+   */
+  crash(idOrName, exitCode = 1) {
+    this._stop(this._container(idOrName), exitCode);
+  }
+
+  /**
+   * Start a stopped container again.
+   */
+  restart(idOrName) {
+    this._start(this._container(idOrName));
+  }
+
+  /**
+   * Stop a running container, like docker stop.
+   */
+  stop(idOrName) {
+    this._stop(this._container(idOrName), 0);
+  }
+
+  /**
+   * Remove a container whatever its state, like docker rm -f.
+   */
+  destroy(idOrName) {
+    this._remove(this._container(idOrName), true);
+  }
+
+  /**
+   * Returns the container with the given id or name as docker inspect would, or null if there is none.
+   */
+  find(idOrName) {
+    const container = this._lookup(idOrName);
+    return container ? clone(container) : null;
+  }
+
+  /**
+   * Returns the containers with the given label, as docker inspect would.
+   */
+  withLabel(key) {
+    return Object.values(this.containers).filter((container) => container.Config.Labels[key] !== undefined).map(clone);
+  }
+
+  /**
+   * Returns the names of the networks the container with the given id or name is connected to.
+   */
+  networksOf(idOrName) {
+    return Object.keys(this._container(idOrName).NetworkSettings.Networks);
+  }
+
+  /**
+   * Fail the next call of the given operation, e.g. start or createContainer, with the given status code.
+   */
+  failNext(operation, statusCode, message = "injected failure") {
+    this.faults.push({ operation: operation, error: dockerError(statusCode, "server error", message) });
+  }
+
+  /**
+   * Never answer the next call of the given operation, like a daemon which hangs.
+   */
+  hangNext(operation) {
+    this.faults.push({ operation: operation, hang: true });
+  }
+
+  // ---- Daemon internals
+
+  _call(operation, callback, fun) {
+    let result;
+    let error = null;
+    const fault = this.faults.findIndex((fault) => fault.operation == operation);
+    if(fault > -1) {
+      const injected = this.faults.splice(fault, 1)[0];
+      if(injected.hang) {
+        return;
+      }
+      error = injected.error;
+    } else {
+      try {
+        result = fun();
+      } catch(thrown) {
+        error = thrown;
+      }
+    }
+    setImmediate(() => error ? callback(error) : callback(null, result));
+  }
+
+  _lookup(idOrName) {
+    if(this.containers[idOrName]) {
+      return this.containers[idOrName];
+    }
+    const name = idOrName.startsWith("/") ? idOrName : `/${idOrName}`;
+    const byName = Object.values(this.containers).find((container) => container.Name == name);
+    if(byName) {
+      return byName;
+    }
+    const byPrefix = Object.keys(this.containers).filter((id) => id.startsWith(idOrName));
+    return byPrefix.length == 1 ? this.containers[byPrefix[0]] : null;
+  }
+
+  _container(idOrName) {
+    const container = this._lookup(idOrName);
+    if(!container) {
+      throw dockerError(404, "no such container", `No such container: ${idOrName}`);
+    }
+    return container;
+  }
+
+  _create(options) {
+    const name = `/${(options.name || randomId().slice(0, 12)).replace(/^\//, "")}`;
+    const existing = Object.values(this.containers).find((container) => container.Name == name);
+    if(existing) {
+      throw dockerError(409, "name conflicts with an existing object",
+                        `Conflict. The container name "${name}" is already in use by container "${existing.Id}". You have to remove (or rename) that container to be able to reuse that name.`);
+    }
+    if(!this.images[options.Image]) {
+      throw dockerError(404, "no such image", `No such image: ${options.Image}`);
+    }
+    const id = randomId();
+    this.containers[id] = {
+      Id: id,
+      Name: name,
+      Created: new Date().toISOString(),
+      Image: this.images[options.Image].Id,
+      Config: {
+        Image: options.Image,
+        Labels: Object.assign({}, options.Labels),
+        Env: options.Env || [],
+        Cmd: options.Cmd || []
+      },
+      HostConfig: Object.assign({ NetworkMode: "default" }, options.HostConfig),
+      State: { Status: "created", Running: false, ExitCode: 0, Error: "", StartedAt: NEVER, FinishedAt: NEVER },
+      NetworkSettings: { Networks: {} }
+    };
+    this._emit("create", this.containers[id]);
+    return id;
+  }
+
+  _start(container) {
+    if(container.State.Running) {
+      throw dockerError(304, "container already started", "");
+    }
+    const mode = container.HostConfig.NetworkMode;
+    if(mode.startsWith("container:")) {
+      const owner = this._container(mode.slice("container:".length));
+      if(!owner.State.Running) {
+        throw dockerError(409, "conflict", `cannot join network of a non running container: ${owner.Id}`);
+      }
+    } else if(Object.keys(container.NetworkSettings.Networks).length == 0 && mode != "none") {
+      this._attach(container, mode == "default" ? "bridge" : mode);
+    }
+    Object.assign(container.State, { Status: "running", Running: true, ExitCode: 0, StartedAt: new Date().toISOString() });
+    this._emit("start", container);
+  }
+
+  _stop(container, exitCode) {
+    if(!container.State.Running) {
+      throw dockerError(304, "container already stopped", "");
+    }
+    Object.assign(container.State, { Status: "exited", Running: false, ExitCode: exitCode, FinishedAt: new Date().toISOString() });
+    this._emit("die", container);
+  }
+
+  _remove(container, force) {
+    if(container.State.Running && !force) {
+      throw dockerError(409, "conflict",
+                        `You cannot remove a running container ${container.Id}. Stop the container before attempting removal or force remove`);
+    }
+    if(container.State.Running) {
+      this._stop(container, 137);
+    }
+    for(let network of Object.keys(container.NetworkSettings.Networks)) {
+      this.networks[network].Containers.delete(container.Id);
+    }
+    delete this.containers[container.Id];
+    this._emit("destroy", container);
+  }
+
+  _stats(container) {
+    const running = container.State.Running;
+    return {
+      cpu_stats: { cpu_usage: { total_usage: running ? 2000000 : 0 }, system_cpu_usage: 100000000, online_cpus: 1 },
+      precpu_stats: { cpu_usage: { total_usage: running ? 1000000 : 0 }, system_cpu_usage: 0 },
+      memory_stats: { usage: running ? 16 * 1024 * 1024 : 0, stats: { cache: 0 } },
+      pids_stats: { current: running ? 1 : 0 }
+    };
+  }
+
+  _connect(idOrName, name) {
+    const container = this._container(idOrName);
+    if(!this.networks[name]) {
+      throw dockerError(404, "network not found", `network ${name} not found`);
+    }
+    if(container.NetworkSettings.Networks[name]) {
+      throw dockerError(403, "forbidden", `endpoint with name ${container.Name.slice(1)} already exists in network ${name}`);
+    }
+    this._attach(container, name);
+    this._emit("connect", container, "network");
+  }
+
+  _disconnect(idOrName, name) {
+    const container = this._container(idOrName);
+    if(!this.networks[name]) {
+      throw dockerError(404, "network not found", `network ${name} not found`);
+    }
+    if(!container.NetworkSettings.Networks[name]) {
+      throw dockerError(403, "forbidden", `container ${container.Id} is not connected to network ${name}`);
+    }
+    delete container.NetworkSettings.Networks[name];
+    this.networks[name].Containers.delete(container.Id);
+    this._emit("disconnect", container, "network");
+  }
+
+  _attach(container, name) {
+    container.NetworkSettings.Networks[name] = { NetworkID: this.networks[name].Id };
+    this.networks[name].Containers.add(container.Id);
+  }
+
+  _emit(action, container, type = "container") {
+    this.emit("event", {
+      Type: type,
+      Action: action,
+      Actor: { ID: container.Id, Attributes: Object.assign({ name: container.Name.slice(1), image: container.Config.Image }, container.Config.Labels) },
+      time: Math.floor(Date.now() / 1000)
+    });
+  }
+}
+
+function matchesFilters(container, filters) {
+  for(let label of filters.label || []) {
+    const [key, value] = label.split("=");
+    if(container.Config.Labels[key] === undefined || (value !== undefined && container.Config.Labels[key] != value)) {
+      return false;
+    }
+  }
+  if(filters.status && !filters.status.includes(container.State.Status)) {
+    return false;
+  }
+  return true;
+}
+
+function followProgress(stream, onFinished) {
+  const output = [];
+  stream.on("data", (chunk) => output.push(JSON.parse(chunk.toString())));
+  stream.on("end", () => onFinished(null, output));
+  stream.on("error", (error) => onFinished(error));
+}
+
+// Errors as dockerode reports them
+function dockerError(statusCode, reason, message) {
+  const error = new Error(`(HTTP code ${statusCode}) ${reason} - ${message} `);
+  error.reason = reason;
+  error.statusCode = statusCode;
+  error.json = statusCode == 304 ? null : { message: message };
+  return error;
+}
+
+function randomId() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function clone(object) {
+  return JSON.parse(JSON.stringify(object));
+}
@@ -0,0 +1,43 @@
+import oxigraph from 'oxigraph';
+
+// In-memory triplestore standing in for the triplestore behind the mu helpers, see sparql.js.
+// Queries and updates run on an oxigraph store and return SPARQL JSON results, like the mu helpers do.
+// Like Virtuoso the default graph is the union of all graphs and the common prefixes are predefined.
+
+const RESULTS_FORMAT = "application/sparql-results+json";
+const PREDEFINED_PREFIXES = {
+  xsd: "http://www.w3.org/2001/XMLSchema#",
+  rdf: "http://www.w3.org/1999/02/22-rdf-syntax-ns#",
+  rdfs: "http://www.w3.org/2000/01/rdf-schema#"
+};
+
+export default class MemoryTriplestore {
+  constructor() {
+    this.store = new oxigraph.Store();
+    this.queries = 0;
+    this.updates = 0;
+  }
+
+  async query(queryString) {
+    this.queries++;
+    const result = this.store.query(withPrefixes(queryString), {
+      use_default_graph_as_union: true,
+      results_format: RESULTS_FORMAT
+    });
+    return JSON.parse(result);
+  }
+
+  async update(queryString) {
+    this.updates++;
+    this.store.update(withPrefixes(queryString));
+    return { head: {}, results: { bindings: [] } };
+  }
+}
+
+// Declare the predefined prefixes the query uses without declaring them
+function withPrefixes(queryString) {
+  const missing = Object.keys(PREDEFINED_PREFIXES).filter((prefix) => {
+    return new RegExp(`\\b${prefix}:`).test(queryString) && !new RegExp(`PREFIX\\s+${prefix}:`, 'i').test(queryString);
+  });
+  return missing.map((prefix) => `PREFIX ${prefix}: <${PREDEFINED_PREFIXES[prefix]}>\n`).join("") + queryString;
+}
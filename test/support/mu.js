@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+
+// Stand-in for the helpers mu-javascript-template provides as 'mu', so the service runs without the template.
+// - app records the routes of the service, request() dispatches a request to them without a HTTP server
+// - beforeExit records the shutdown handlers, exit() runs them like the template does on SIGTERM
+// - the escape helpers and uuid behave like the template's
+// There is no triplestore behind query and update: the tests plug the in-memory triplestore into sparql.js.
+
+const routes = [];
+const exitHandlers = [];
+
+function route(method) {
+  return (path, ...handlers) => {
+    const keys = [];
+    const pattern = path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    });
+    routes.push({ method: method, regexp: new RegExp(`^${pattern}$`), keys: keys, handlers: handlers });
+  };
+}
+
+export const app = {
+  get: route('GET'),
+  post: route('POST'),
+  put: route('PUT'),
+  patch: route('PATCH'),
+  delete: route('DELETE'),
+  use: () => {}
+};
+
+/**
+ * Dispatch a request to the routes of the service. Returns the response as { status, body }
+ * once the handlers finished, which may be before the work they started in the background.
+ * The body is passed as parsed JSON, like body-parser would.
+ */
+export async function request(method, url, body) {
+  const parsed = new URL(url, 'http://localhost');
+  for(let candidate of routes.filter((candidate) => candidate.method == method)) {
+    const match = candidate.regexp.exec(parsed.pathname);
+    if(!match) {
+      continue;
+    }
+    const req = {
+      method: method,
+      url: url,
+      path: parsed.pathname,
+      params: Object.fromEntries(candidate.keys.map((key, index) => [key, decodeURIComponent(match[index + 1])])),
+      query: Object.fromEntries(parsed.searchParams),
+      headers: { 'content-type': 'application/json' },
+      body: body,
+      _body: true, // Already parsed, body-parser passes it on as is
+      get: (name) => req.headers[name.toLowerCase()]
+    };
+    const res = response();
+    for(let handler of candidate.handlers) {
+      let next = false;
+      await handler(req, res, () => next = true);
+      if(!next) {
+        break;
+      }
+    }
+    return { status: res.statusCode, body: res.body };
+  }
+  return { status: 404, body: null };
+}
+
+function response() {
+  const res = {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    finished: false,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    set(name, value) {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    setHeader(name, value) {
+      res.set(name, value);
+    },
+    type(type) {
+      return res.set('content-type', type);
+    },
+    send(body) {
+      res.body = body === undefined ? null : body;
+      res.finished = true;
+      return res;
+    },
+    json(body) {
+      return res.send(body);
+    },
+    end() {
+      res.finished = true;
+      return res;
+    }
+  };
+  return res;
+}
+
+export function beforeExit(handler) {
+  exitHandlers.push(handler);
+}
+
+/**
+ * Run the shutdown handlers of the service, in the order they were registered.
+ */
+export async function exit() {
+  for(let handler of exitHandlers) {
+    await handler();
+  }
+}
+
+export async function query() {
+  throw new Error("No triplestore in the tests, plug the in-memory triplestore into sparql.js");
+}
+
+export async function update() {
+  throw new Error("No triplestore in the tests, plug the in-memory triplestore into sparql.js");
+}
+
+export function uuid() {
+  return crypto.randomUUID();
+}
+
+export function sparqlEscapeString(value) {
+  return '"""' + value.replace(/[\\"]/g, (match) => '\\' + match) + '"""';
+}
+
+export function sparqlEscapeUri(value) {
+  return '<' + value.replace(/[\\"<>]/g, (match) => '\\' + match) + '>';
+}
+
+export function sparqlEscapeInt(value) {
+  return '"' + Number.parseInt(value) + '"^^xsd:integer';
+}
+
+export function sparqlEscapeFloat(value) {
+  return '"' + Number.parseFloat(value) + '"^^xsd:float';
+}
+
+export function sparqlEscapeDecimal(value) {
+  return '"' + Number.parseFloat(value) + '"^^xsd:decimal';
+}
+
+export function sparqlEscapeDate(value) {
+  return '"' + new Date(value).toISOString().substring(0, 10) + '"^^xsd:date';
+}
+
+export function sparqlEscapeDateTime(value) {
+  return '"' + new Date(value).toISOString() + '"^^xsd:dateTime';
+}
+
+export function sparqlEscapeBool(value) {
+  return value ? '"true"^^xsd:boolean' : '"false"^^xsd:boolean';
+}
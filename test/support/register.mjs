@@ -0,0 +1,4 @@
+import { register } from 'module';
+
+// Loaded with --import before the tests, see hooks.mjs
+register('./hooks.mjs', import.meta.url);
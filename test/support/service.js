@@ -0,0 +1,193 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { request, exit } from 'mu';
+import MemoryDocker from './memory-docker';
+import MemoryTriplestore from './memory-triplestore';
+import DockerWatcher from './docker-watcher';
+
+// Runs the service on the in-memory docker daemon and triplestore, for end-to-end tests.
+// The service reads its configuration when it's imported and keeps its state in its modules,
+// so every test file starts a single service, in its own process.
+// Syncs only run when the test asks for them, deltas are sent when the test publishes the docker changes.
+
+export const GRAPH = "http://mu.semte.ch/application";
+export const MONITOR_IMAGE = "redpencil/http-logger-packetbeat-service";
+export const MONITOR_LABEL = "mu.semte.ch.networkMonitor";
+export const LOGGING_NETWORK = "logging";
+
+const LOGGER = "http://mu.semte.ch/vocabularies/ext/docker-logger/";
+
+/**
+ * Start the service with the given environment variables on top of the test defaults.
+ * Containers labelled logging=true are captured, through a capture policy.
+ * before is called with { docker, watcher, directory } before the service starts, e.g. to leave a journal behind.
+ */
+export async function start(env = {}, { before = null } = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), "capture-e2e-"));
+  Object.assign(process.env, {
+    MU_APPLICATION_GRAPH: GRAPH,
+    MONITOR_IMAGE: MONITOR_IMAGE,
+    LOGSTASH_NETWORK: LOGGING_NETWORK,
+    CAPTURE_SYNC_INTERVAL: "3600000", // The tests run the syncs
+    MONITOR_GC_INTERVAL: "3600000",
+    MONITOR_STATS_INTERVAL: "3600000",
+    MONITOR_UPGRADE: "false",
+    DELTA_DEBOUNCE_WINDOW: "50",
+    MONITOR_RESTART_BACKOFF: "1",
+    TRANSITION_TIMEOUT: "5000",
+    TRANSITION_RETRY_DELAY: "10",
+    TRANSITION_JOURNAL_FILE: path.join(directory, "transitions.json"),
+    MONITOR_PROFILES_FILE: path.join(directory, "profiles.json"),
+    LOG_SINKS_FILE: path.join(directory, "sinks.json"),
+    DOCKER_HOSTS_FILE: path.join(directory, "docker-hosts.json")
+  }, env);
+
+  const docker = new MemoryDocker({ images: [MONITOR_IMAGE] });
+  docker.createNetwork(LOGGING_NETWORK);
+  const triplestore = new MemoryTriplestore();
+  await triplestore.update(`
+    PREFIX logger: <${LOGGER}>
+    PREFIX mu: <http://mu.semte.ch/vocabularies/core/>
+    INSERT DATA {
+      GRAPH <${GRAPH}> {
+        <http://mu.semte.ch/capture-policies/logging> a logger:CapturePolicy;
+          mu:uuid "logging";
+          logger:matchLabel "logging=true".
+      }
+    }
+  `);
+  const watcher = new DockerWatcher(docker, triplestore, GRAPH);
+  if(before) {
+    await before({ docker: docker, watcher: watcher, directory: directory });
+  }
+
+  // The service modules read the environment when they're loaded
+  (await import('../../sparql')).useBackend(triplestore);
+  (await import('../../docker')).default.useBackend(() => docker);
+  const app = await import('../../app');
+  const service = new Service({
+    app: app,
+    docker: docker,
+    triplestore: triplestore,
+    watcher: watcher,
+    NetworkMonitor: (await import('../../network-monitor')).default,
+    transitions: (await import('../../transitions')).default,
+    directory: directory
+  });
+  await waitFor(async () => (await service.request("GET", "/health")).body.phase == "running");
+  return service;
+}
+
+class Service {
+  constructor({ app, docker, triplestore, watcher, NetworkMonitor, transitions, directory }) {
+    this.app = app;
+    this.docker = docker;
+    this.triplestore = triplestore;
+    this.watcher = watcher;
+    this.NetworkMonitor = NetworkMonitor;
+    this.transitions = transitions;
+    this.directory = directory;
+  }
+
+  request(method, url, body) {
+    return request(method, url, body);
+  }
+
+  /**
+   * Run a container on the docker daemon, captured if logged is set. Returns the container as the service sees it.
+   */
+  run(name, { logged = true, labels = {}, networkMode, networks } = {}) {
+    const id = this.docker.run({
+      name: name,
+      labels: Object.assign(logged ? { logging: "true" } : {}, labels),
+      networkMode: networkMode,
+      networks: networks
+    });
+    return this.container(id);
+  }
+
+  /**
+   * Returns the container with the given id or name as { id, uri, name }, or null if there is none.
+   */
+  container(idOrName) {
+    const container = this.docker.find(idOrName);
+    return container ? { id: container.Id, uri: this.watcher.uri(container.Id), name: container.Name } : null;
+  }
+
+  /**
+   * Mirror the docker changes into the application graph and send them as a delta. Returns the response to the delta.
+   */
+  async publish() {
+    const changesets = await this.watcher.flush();
+    if(changesets.length == 0) {
+      return null;
+    }
+    return await this.request("POST", "/.mu/delta", changesets);
+  }
+
+  /**
+   * Mirror the docker changes into the application graph without sending a delta, as if the delta got lost.
+   */
+  async mirror() {
+    await this.watcher.flush();
+  }
+
+  /**
+   * Run a sync and wait for its transitions.
+   */
+  async sync() {
+    await this.app.monitor();
+    await this.settle();
+  }
+
+  /**
+   * Wait until the pending deltas are processed and the transition queue is empty.
+   */
+  async settle() {
+    await sleep(3 * parseInt(process.env.DELTA_DEBOUNCE_WINDOW));
+    await waitFor(() => {
+      const depth = this.transitions.queueDepth();
+      return depth.pending == 0 && depth.processing == 0;
+    });
+  }
+
+  /**
+   * Shut the service down like on SIGTERM.
+   */
+  async shutdown() {
+    await exit();
+    fs.rmSync(this.directory, { recursive: true, force: true });
+  }
+
+  /**
+   * Returns the network monitors of the logged container with the given URI, with the given status if any.
+   */
+  async monitorsOf(uri, status = null) {
+    return (await this.NetworkMonitor.findAll(status)).filter((monitor) => monitor.dockerContainer == uri);
+  }
+
+  /**
+   * Returns the monitor containers of the logged container with the given URI on the docker daemon.
+   */
+  monitorContainersOf(uri) {
+    return this.docker.withLabel(MONITOR_LABEL).filter((container) => container.Config.Labels[MONITOR_LABEL] == uri);
+  }
+}
+
+/**
+ * Wait until the given condition holds, checking it every 10ms. Fails after timeout milliseconds.
+ */
+export async function waitFor(condition, timeout = 5000) {
+  const start = Date.now();
+  while(!(await condition())) {
+    if(Date.now() - start > timeout) {
+      throw new Error(`Condition not met within ${timeout}ms`);
+    }
+    await sleep(10);
+  }
+}
+
+export function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
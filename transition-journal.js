@@ -0,0 +1,49 @@
+import fs from 'fs';
+import path from 'path';
+import { TRANSITION_JOURNAL_FILE } from './environment';
+
+// Durable record of the queued and running transitions, so they survive the service dying mid-transition.
+// The journal is a JSON snapshot of the transition queue in TRANSITION_JOURNAL_FILE,
+// replaced atomically after changes of the queue, batched by transitions.writeJournal. See transitions.resume for how it's replayed.
+
+let writable = true;
+
+export default {
+  load,
+  save
+};
+
+/**
+ * Read the journal left by the previous run. Returns an empty journal if there is none or it can't be read.
+ */
+function load() {
+  try {
+    return JSON.parse(fs.readFileSync(TRANSITION_JOURNAL_FILE, 'utf8'));
+  } catch(error) {
+    if(error.code != 'ENOENT') {
+      console.error(`Failed to read transition journal ${TRANSITION_JOURNAL_FILE}, starting without it`);
+      console.error(error);
+    }
+    return { containers: [] };
+  }
+}
+
+/**
+ * Replace the journal by the given snapshot of the queue.
+ * Failing to write is logged once, the queue keeps working in memory.
+ */
+function save(snapshot) {
+  const temporaryFile = `${TRANSITION_JOURNAL_FILE}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(TRANSITION_JOURNAL_FILE), { recursive: true });
+    fs.writeFileSync(temporaryFile, JSON.stringify(snapshot));
+    fs.renameSync(temporaryFile, TRANSITION_JOURNAL_FILE);
+    writable = true;
+  } catch(error) {
+    if(writable) {
+      console.error(`Failed to write transition journal ${TRANSITION_JOURNAL_FILE}, transitions are only kept in memory`);
+      console.error(error);
+    }
+    writable = false;
+  }
+}
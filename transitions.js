@@ -1,122 +1,460 @@
-import { app, query, uuid, sparqlEscapeString, sparqlEscapeUri } from 'mu';
-import { USE_DOCKER_RESTART_POLICY } from './environment';
+import { app, uuid, sparqlEscapeString, sparqlEscapeUri } from 'mu';
+import { query } from './sparql';
+import {
+    USE_DOCKER_RESTART_POLICY,
+    DRY_RUN,
+    TRANSITION_CONCURRENCY,
+    TRANSITION_TIMEOUT,
+    TRANSITION_RETRIES,
+    TRANSITION_RETRY_DELAY,
+    MONITOR_OWNER,
+    CAPTURE_DRIVER
+} from './environment';
 import NetworkMonitor from './network-monitor';
 import docker from './docker';
+import dockerHosts from './docker-hosts';
+import { captureSettings, resourceLimits } from './capture-settings';
+import backoff from './restart-backoff';
+import profiles, { PCAP_PROFILE_NAME } from './profiles';
+import pcap from './pcap';
+import metrics from './metrics';
+import journal from './transition-journal';
+import dockerDriver from './docker-driver';
 import events from 'events';
 
 export default {
     enqueue,
     wait,
+    queueDepth,
+    queueLengths,
+    resume,
+    flushJournal,
+    showTransitions,
     createMonitor,
     removeMonitor,
-    restartMonitor
+    restartMonitor,
+    stopMonitor,
+    resetMonitor,
+    adoptMonitor,
+    removeOrphanedMonitor,
+    forgetMonitor
+};
+
+const MONITOR_LABEL = "mu.semte.ch.networkMonitor";
+// Returned by an action which had nothing to do, e.g. because the monitor was removed in the meantime
+const SKIPPED = "skipped";
+// Late result of a timed out transition which still didn't settle, see settleWithin
+const UNSETTLED = Symbol("unsettled");
+const PROFILE_LABEL = "mu.semte.ch.networkMonitor.profile";
+// The capture service instance which created the monitor container, see monitor-gc.js
+const OWNER_LABEL = "mu.semte.ch.networkMonitor.owner";
+
+// Actions which can be enqueued, by name, to replay them from the journal
+const ACTIONS = {
+    createMonitor,
+    removeMonitor,
+    restartMonitor,
+    stopMonitor,
+    resetMonitor,
+    adoptMonitor,
+    removeOrphanedMonitor,
+    forgetMonitor
 };
 
-const imageName = process.env.MONITOR_IMAGE;
 const emitter = new events.EventEmitter();
+// Transitions by container id, see queueKey: { container, name, actions, processing, current, lastError }
+// current is the action being processed, lastError the last failed action.
 let queue = {};
+// Number of transitions running and the processors waiting for a slot, see acquireSlot
+let runningTransitions = 0;
+const waitingForSlot = [];
+// Pending write of the journal, see writeJournal
+let journalTimer = null;
+// Delay (ms) over which the changes of the queue are batched into one journal write
+const JOURNAL_WRITE_DELAY = 100;
 
 /**
  * Enqueue a new transition.
  * container and monitor have to be container and monitor *objects*.
  * action is a function.
+ * options are passed as the third argument to the action.
+ * options.reason tells why the transition happens: delta, event, sync, gc, handoff, upgrade, manual, session or shutdown.
+ * An action returns false when it failed and SKIPPED when it had nothing to do.
+ * In dry-run mode the transition is only logged.
  */
-function enqueue(container, monitor, fun) {
-    if(queue[container.id] == undefined) {
-        queue[container.id] = {};
+function enqueue(container, monitor, fun, options = {}) {
+    if(DRY_RUN) {
+        console.log(`Dry run: not running ${fun.name} for ${container.name} (${options.reason})`);
+        return;
+    }
+    if(queue[queueKey(container)] == undefined) {
+        queue[queueKey(container)] = {};
     }
-    if(queue[container.id].actions == undefined) {
-        queue[container.id].actions = [];
+    if(queue[queueKey(container)].actions == undefined) {
+        queue[queueKey(container)].actions = [];
     }
+    queue[queueKey(container)].container = container;
+    queue[queueKey(container)].name = container.name;
 
-    queue[container.id].actions.push({
+    queue[queueKey(container)].actions.push({
         fun: fun,
-        monitor: monitor
+        monitor: monitor,
+        options: options,
+        enqueuedAt: new Date()
     });
+    writeJournal();
 
-    if(!queue[container.id].processing) {
-        queue[container.id].processing = true;
+    if(!queue[queueKey(container)].processing) {
+        queue[queueKey(container)].processing = true;
         console.log(`Starting processing for ${container.name}`);
         setTimeout(() => processContainer(container));
     }
 }
 
+/**
+ * Returns the key of the queue of the given container: its docker id,
+ * or its URI for containers whose docker id is unknown, e.g. because they no longer exist.
+ */
+function queueKey(container) {
+    return container.id || container.uri;
+}
+
 /**
  * Returns a promise that resolves when the queue for the given container finishes.
  */
 function wait(container) {
-    return new Promise((resolve, _) => { if(queue[container.id].actions.length == 0) {
+    return new Promise((resolve, _) => { if(queue[queueKey(container)] == undefined || !queue[queueKey(container)].processing) {
                                              resolve();
                                          } else {
-                                             emitter.once(container.id, () => resolve());
+                                             emitter.once(queueKey(container), () => resolve());
                                          }
                                        });
 }
 
+/**
+ * Returns the number of containers with queued transitions, the number of queued transitions,
+ * the number of containers for which transitions are being processed, including those waiting for a slot,
+ * and the number of transitions running.
+ */
+function queueDepth() {
+    const entries = Object.values(queue);
+    return {
+        containers: entries.filter((entry) => entry.actions.length > 0).length,
+        pending: entries.reduce((total, entry) => total + entry.actions.length, 0),
+        processing: entries.filter((entry) => entry.processing).length,
+        running: runningTransitions
+    };
+}
+
+/**
+ * Returns the number of queued transitions per container, for containers with queued or running transitions.
+ */
+function queueLengths() {
+    return Object.keys(queue)
+        .filter((id) => queue[id].actions.length > 0 || queue[id].processing)
+        .map((id) => ({ id: id, name: queue[id].name, length: queue[id].actions.length }));
+}
+
 /**
  * Start processing events for the given container until the queue is empty.
  */
 async function processContainer(container) {
-    const action = queue[container.id].actions.shift();
+    await acquireSlot();
+    const action = queue[queueKey(container)].actions.shift();
+    action.attempt = (action.attempt || 0) + 1;
+    queue[queueKey(container)].current = Object.assign({ startedAt: new Date() }, action);
+    writeJournal();
 
+    let result;
+    let failure = null;
+    const running = action.fun(container, action.monitor, action.options);
     try {
-        await action.fun(container, action.monitor);
+        result = await withTimeout(running, `${action.fun.name} for ${container.name}`);
     } catch(error) {
         console.error(error);
+        failure = error;
+        result = false;
+    }
+    const timedOut = failure != null && failure.timedOut === true;
+    metrics.transitionExecuted(action.fun.name, timedOut ? "timed_out" : (result === false ? "failed" : (result === SKIPPED ? "skipped" : "succeeded")));
+    if(result === false) {
+        queue[queueKey(container)].lastError = {
+            action: action.fun.name,
+            reason: action.options.reason || null,
+            message: failure ? (failure.message || `${failure}`) : "Transition failed, see the service logs",
+            time: new Date()
+        };
+    }
+    // A timed out transition keeps running in the background, its docker calls can't be aborted.
+    // Its slot is released right away, so hanging docker calls can't hold up the transitions of other containers.
+    // The next transitions of its container wait up to another TRANSITION_TIMEOUT for it to settle,
+    // and it's retried unless it succeeded in the meantime. During shutdown it's abandoned to keep the shutdown short.
+    if(timedOut) {
+        releaseSlot();
+    }
+    let retry = false;
+    if(timedOut && action.options.reason != "shutdown") {
+        console.log(`Waiting up to ${TRANSITION_TIMEOUT}ms for timed out ${action.fun.name} for ${container.name} to finish`);
+        const lateResult = await settleWithin(running, TRANSITION_TIMEOUT);
+        if(lateResult === UNSETTLED) {
+            console.error(`${action.fun.name} for ${container.name} still didn't finish, moving on`);
+        }
+        retry = (lateResult === false || lateResult === UNSETTLED) && action.attempt <= TRANSITION_RETRIES;
+    }
+    queue[queueKey(container)].current = null;
+    if(!timedOut) {
+        releaseSlot();
     }
 
-    if(queue[container.id].actions.length > 0) {
+    if(retry) {
+        console.log(`Retrying ${action.fun.name} for ${container.name} in ${TRANSITION_RETRY_DELAY}ms (attempt ${action.attempt + 1})`);
+        queue[queueKey(container)].actions.unshift(action);
+        writeJournal();
+        await new Promise((resolve) => setTimeout(resolve, TRANSITION_RETRY_DELAY));
+    } else {
+        writeJournal();
+    }
+
+    if(queue[queueKey(container)].actions.length > 0) {
         processContainer(container);
     } else {
-        queue[container.id].processing = false;
-        emitter.emit(container.id);
+        queue[queueKey(container)].processing = false;
+        emitter.emit(queueKey(container));
         console.log(`Finished processing for ${container.name}`);
     }
 }
 
+/**
+ * Wait until less than TRANSITION_CONCURRENCY transitions are running, over all containers.
+ */
+function acquireSlot() {
+    if(runningTransitions < TRANSITION_CONCURRENCY) {
+        runningTransitions++;
+        return Promise.resolve();
+    }
+    return new Promise((resolve) => waitingForSlot.push(resolve));
+}
+
+/**
+ * Hand the slot of a finished transition to the next waiting processor, if any.
+ */
+function releaseSlot() {
+    const next = waitingForSlot.shift();
+    if(next) {
+        next();
+    } else {
+        runningTransitions--;
+    }
+}
+
+/**
+ * Reject when the transition takes longer than TRANSITION_TIMEOUT, with an error marked as timedOut.
+ * The transition itself keeps running, see processContainer.
+ */
+function withTimeout(promise, description) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`${description} timed out after ${TRANSITION_TIMEOUT}ms`);
+            error.timedOut = true;
+            reject(error);
+        }, TRANSITION_TIMEOUT);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Resolve with the result of the transition once it settles, false if it failed,
+ * or UNSETTLED if it didn't settle within the given number of milliseconds.
+ */
+function settleWithin(promise, ms) {
+    let timer;
+    const unsettled = new Promise((resolve) => {
+        timer = setTimeout(() => resolve(UNSETTLED), ms);
+    });
+    const settled = promise.catch((error) => {
+        console.error(error);
+        return false;
+    });
+    return Promise.race([settled, unsettled]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Write the queued and running transitions to the journal, within JOURNAL_WRITE_DELAY.
+ * The changes of a burst of transitions, e.g. of a sync, are written at once.
+ */
+function writeJournal() {
+    if(journalTimer == null) {
+        journalTimer = setTimeout(() => {
+            journalTimer = null;
+            journal.save(journalSnapshot());
+        }, JOURNAL_WRITE_DELAY);
+    }
+}
+
+/**
+ * Write the pending changes of the queue to the journal right away, used on shutdown.
+ */
+function flushJournal() {
+    if(journalTimer != null) {
+        clearTimeout(journalTimer);
+        journalTimer = null;
+        journal.save(journalSnapshot());
+    }
+}
+
+/**
+ * Returns the queue as it's journaled: per container what's needed to find it again,
+ * and per action what's needed to replay it.
+ */
+function journalSnapshot() {
+    return {
+        containers: Object.values(queue)
+            .filter((entry) => entry.current || entry.actions.length > 0)
+            .map((entry) => ({
+                container: {
+                    uri: entry.container.uri,
+                    id: entry.container.id,
+                    name: entry.container.name,
+                    image: entry.container.image || null,
+                    hostNetwork: entry.container.hostNetwork || false
+                },
+                actions: (entry.current ? [Object.assign({ interrupted: true }, entry.current)] : []).concat(entry.actions)
+                    .map((action) => ({
+                        action: action.fun.name,
+                        monitor: action.monitor ? action.monitor.id : null,
+                        options: action.options,
+                        attempt: action.attempt || 0,
+                        interrupted: action.interrupted || false
+                    }))
+            }))
+    };
+}
+
+/**
+ * Replay the transitions left in the journal by the previous run, in their original order.
+ * An action which was running when the service died is run again, as every action first checks
+ * the current state of the monitor. Actions on a monitor which no longer exists are rolled back,
+ * i.e. dropped, as are actions unknown to this version of the service and the cleanup of the previous shutdown.
+ * The journal only keeps the identity of the containers, their labels are fetched again.
+ */
+async function resume() {
+    const previous = journal.load();
+    // Look up all monitors before enqueueing, enqueueing replaces the journal
+    const resumable = [];
+    let dropped = 0;
+    for(let entry of previous.containers) {
+        // The docker driver has no triplestore to fetch the labels of the container from
+        const container = CAPTURE_DRIVER == "docker" ? await dockerDriver.getContainer(entry.container.uri) : entry.container;
+        for(let action of entry.actions) {
+            const fun = ACTIONS[action.action];
+            const monitor = action.monitor ? await NetworkMonitor.find(action.monitor) : null;
+            if(action.options.reason == "shutdown") {
+                dropped++;
+                continue;
+            }
+            if(fun == undefined || (action.monitor && monitor == null)) {
+                console.log(`Rolling back ${action.action} for ${entry.container.name} from the journal, ${fun ? `monitor ${action.monitor} no longer exists` : "unknown action"}`);
+                dropped++;
+                continue;
+            }
+            if(action.interrupted) {
+                console.log(`Resuming interrupted ${action.action} for ${entry.container.name}`);
+            }
+            resumable.push({ container: container, monitor: monitor, fun: fun, options: action.options, attempt: action.attempt || 0 });
+        }
+    }
+    for(let action of resumable) {
+        enqueue(action.container, action.monitor, action.fun, action.options);
+        const entry = queue[queueKey(action.container)];
+        if(entry) { // Not in dry-run mode
+            entry.actions[entry.actions.length - 1].attempt = action.attempt; // Interrupted attempts count towards the retries
+        }
+    }
+    console.log(`Resumed ${resumable.length} transitions from the journal, rolled back ${dropped}`);
+}
+
+/**
+ * GET /transitions
+ * Lists the queued transitions, the running transition and the last failed transition per container.
+ */
+function showTransitions(req, res) {
+    const now = Date.now();
+    const data = Object.keys(queue)
+        .filter((id) => queue[id].current || queue[id].actions.length > 0 || queue[id].lastError)
+        .map((id) => {
+            const entry = queue[id];
+            return {
+                container: { uri: entry.container.uri, id: id, name: entry.name },
+                current: entry.current ? {
+                    action: entry.current.fun.name,
+                    reason: entry.current.options.reason || null,
+                    attempt: entry.current.attempt,
+                    monitor: entry.current.monitor ? entry.current.monitor.id : null,
+                    startedAt: entry.current.startedAt.toISOString(),
+                    duration: now - entry.current.startedAt.getTime()
+                } : null,
+                queued: entry.actions.map((action) => ({
+                    action: action.fun.name,
+                    reason: action.options.reason || null,
+                    monitor: action.monitor ? action.monitor.id : null,
+                    enqueuedAt: action.enqueuedAt.toISOString()
+                })),
+                lastError: entry.lastError ? Object.assign({}, entry.lastError, { time: entry.lastError.time.toISOString() }) : null
+            };
+        });
+    res.status(200).send({ data: data });
+}
+
 /**
  * Create a new monitor for the given container.
+ * Containers whose monitor was stopped manually or failed are skipped, unless the creation itself is manual or starts a capture session.
+ * In that case the stopped or failed monitor is cleared.
  */
-async function createMonitor(container, taskMonitor) {
+async function createMonitor(container, taskMonitor, options = {}) {
     const actualMonitor = await NetworkMonitor.findByLoggedContainer(container.uri);
     if(actualMonitor != null || taskMonitor != null) {
-        console.error(`Cannot create a monitor for ${container.name}, it already has a monitor ${actualMonitor.id}`);
-        return;
+        console.error(`Cannot create a monitor for ${container.name}, it already has a monitor ${actualMonitor ? actualMonitor.id : taskMonitor.id}`);
+        return SKIPPED;
+    }
+
+    for(const status of ["stopped", "failed"]) {
+        const inactiveMonitor = await NetworkMonitor.findByLoggedContainer(container.uri, status);
+        if(inactiveMonitor != null) {
+            if(options.reason == "manual" || options.reason == "session") {
+                console.log(`Clearing ${status} monitor for ${container.name}`);
+                backoff.reset(container.uri);
+                await inactiveMonitor.remove({ reason: options.reason });
+            } else {
+                console.log(`Not creating a monitor for ${container.name}, its monitor is ${status}.`);
+                return SKIPPED;
+            }
+        }
     }
 
     console.log(`Creating monitor for ${container.name}`);
     try {
-        const result = await createMonitorContainer(container);
+        const result = await createMonitorContainer(container, { reason: options.reason });
         const monitorContainer = result.monitorContainer;
         const monitor = result.monitor;
 
         try {
-            // The monitor container completely shares its network with the logged container,
-            // so to ensure a path to the logstash service we have to add the *logged* container
-            // to this network.
-            await docker.connectContainerTo(container.id, process.env.LOGSTASH_NETWORK);
+            await connectNetworks(container, monitor, result.networks);
         } catch(error) {
-            console.error(`ERROR: Failed to connect network to ${container.name}`);
-            console.error(error);
-            if(error.statusCode != 403) { // 403 = network already connected. Docker API docs don't list this.
-                // Try to clean up if we fail creating the monitor properly.
-                try {
-                    await removeMonitorContainer(monitorContainer, monitor);
-                } catch(error) {
-                    console.error(error);
-                }
-                try {
-                    await docker.disconnectContainerFrom(container.id, process.env.LOGSTASH_NETWORK);
-                } catch(error) {
-                    console.log(error);
-                }
+            // Try to clean up if we fail creating the monitor properly.
+            try {
+                await monitor.logEvent("failed", { reason: options.reason, error: error });
+                await removeMonitorContainer(monitorContainer, monitor, options);
+            } catch(error) {
+                console.error(error);
             }
+            return false;
         }
     }
     catch(error) {
         console.error(`ERROR: Failed to create monitor for ${container.name}`);
         console.error(error);
-        return;
+        return false;
     }
 
     console.log(`Created monitor for ${container.name}`);
@@ -125,125 +463,366 @@ async function createMonitor(container, taskMonitor) {
 /**
  * Remove the container's monitor.
  */
-async function removeMonitor(loggedContainer, monitor) {
+async function removeMonitor(loggedContainer, monitor, options = {}) {
     const actualMonitor = await NetworkMonitor.findByLoggedContainer(loggedContainer.uri);
     if(actualMonitor == null || monitor.id != actualMonitor.id) {
         console.error(`Cannot remove monitor ${monitor.id} as it has already been removed.`);
-        return;
+        return SKIPPED;
     }
 
-    const monitorContainer = docker.getContainer(monitor.id);
+    const monitorContainer = docker.getContainer(monitor.id, monitor.host);
 
     console.log(`Removing monitor for ${loggedContainer.name}: ${monitor.uri}`);
 
     // Remove the actual container.
     try {
-        await removeMonitorContainer(monitorContainer, monitor);
+        await removeMonitorContainer(monitorContainer, monitor, options);
     } catch(error) {
-        return; // Just abort, the error message was already printed in the function.
+        return false; // Just abort, the error message was already printed in the function.
     }
 
-    // Remove the logstash network from the logged container, to prevent errors when adding a new monitor to this container.
-    try {
-        console.log(`Removing monitor network from ${loggedContainer.name}`);
-        console.log(loggedContainer);
-        await docker.disconnectContainerFrom(loggedContainer.id, process.env.LOGSTASH_NETWORK);
-        console.log(`Removed monitor network from ${loggedContainer.name}`);
-    } catch(error) {
-      if (error.statusCode == 404) {
-        console.warn(`Failed removing monitor network from ${loggedContainer.name}; probably fine`);
-        console.warn(error);
-      } else {
-        console.error(`Failed removing monitor network from ${loggedContainer.name}; probably fine`);
-        console.error(error);
-      }
+    // Remove the monitor networks from the logged container, to prevent errors when adding a new monitor to this container.
+    // Without docker id the logged container no longer exists, and neither do its network connections.
+    if(loggedContainer.id != null) {
+        await disconnectNetworks(loggedContainer, await monitorNetworks(loggedContainer, monitor), monitor.host);
     }
     console.log(`Removed monitor for ${loggedContainer.name}`);
 }
 
+/**
+ * Connect the logged container to the networks its monitor needs and record them on the monitor,
+ * so removing the monitor disconnects exactly those networks.
+ * The monitor container completely shares its network with the logged container,
+ * so to ensure a path to the services the monitor talks to we have to add the *logged* container to the networks.
+ * Networks the container was already connected to are left out of the record, they're not ours to disconnect.
+ * The logged container runs on the docker host of its monitor.
+ * If a network can't be connected, the networks connected so far are disconnected again and the error is thrown.
+ */
+async function connectNetworks(container, monitor, networks) {
+    const connected = [];
+    for(let network of networks) {
+        try {
+            await docker.connectContainerTo(container.id, network, monitor.host);
+            connected.push(network);
+        } catch(error) {
+            if(error.statusCode == 403) { // 403 = network already connected. Docker API docs don't list this.
+                console.log(`${container.name} is already connected to network ${network}`);
+                continue;
+            }
+            console.error(`ERROR: Failed to connect network ${network} to ${container.name}`);
+            console.error(error);
+            await disconnectNetworks(container, connected, monitor.host);
+            throw error;
+        }
+    }
+    for(let network of connected) {
+        await monitor.addNetwork(network);
+    }
+}
+
+/**
+ * Returns the networks the logged container joined for the monitor.
+ * Monitors which didn't record their networks fall back to the networks the container would join for a new monitor.
+ */
+async function monitorNetworks(container, monitor) {
+    const networks = await monitor.getNetworks();
+    if(networks != null) {
+        return networks;
+    }
+    console.log(`Monitor ${monitor.id} didn't record its networks, assuming those of the capture settings of ${container.name}`);
+    return (await captureSettings(container)).networks;
+}
+
+/**
+ * Disconnect the logged container on the given docker host from the given networks. Failures are logged, not thrown.
+ */
+async function disconnectNetworks(loggedContainer, networks, host) {
+    for(let network of networks) {
+        try {
+            console.log(`Removing monitor network ${network} from ${loggedContainer.name}`);
+            await docker.disconnectContainerFrom(loggedContainer.id, network, host);
+            console.log(`Removed monitor network ${network} from ${loggedContainer.name}`);
+        } catch(error) {
+          if (error.statusCode == 404) {
+            console.warn(`Failed removing monitor network ${network} from ${loggedContainer.name}; probably fine`);
+            console.warn(error);
+          } else {
+            console.error(`Failed removing monitor network ${network} from ${loggedContainer.name}; probably fine`);
+            console.error(error);
+          }
+        }
+    }
+}
+
+/**
+ * Remove the container's monitor and remember it was stopped on purpose,
+ * so it doesn't get recreated until a monitor is started manually again.
+ */
+async function stopMonitor(loggedContainer, monitor, options = {}) {
+    const removed = await removeMonitor(loggedContainer, monitor, options);
+    if(removed === false || removed === SKIPPED) {
+        return removed;
+    }
+    if(monitor.status == "removed") {
+        monitor.status = "stopped";
+        await monitor.save();
+        console.log(`Stopped monitor for ${loggedContainer.name}`);
+    }
+}
+
+/**
+ * Remove the container's monitor and mark it as failed after it kept crashing.
+ * It won't be recreated until the logged container restarts or the monitor is reset.
+ */
+async function failMonitor(loggedContainer, monitor, options = {}) {
+    const attempts = backoff.recentAttempts(loggedContainer.uri).length;
+    const removed = await removeMonitor(loggedContainer, monitor, options);
+    if(removed === false || removed === SKIPPED) {
+        return removed;
+    }
+    if(monitor.status == "removed") {
+        monitor.status = "failed";
+        await monitor.save();
+        await monitor.logEvent("failed", { reason: options.reason, error: `Crash loop: restarted ${attempts} times within the failure window` });
+        console.error(`Monitor for ${loggedContainer.name} keeps crashing, marked it as failed`);
+    }
+}
+
+/**
+ * Clear the failed state of the container's monitor and create a new one.
+ */
+async function resetMonitor(container, monitor, options = {}) {
+    backoff.reset(container.uri);
+    if(monitor.status == "failed") {
+        console.log(`Resetting failed monitor for ${container.name}`);
+        await monitor.remove({ reason: options.reason });
+    }
+    return await createMonitor(container, null, options);
+}
+
 /**
  * Remove and recreate the monitor for the container.
+ * Unless the restart is manual, an upgrade or for a capture session, restarts are delayed with an exponential backoff
+ * and the monitor is marked as failed when it keeps crashing.
  */
-async function restartMonitor(container, taskMonitor) {
+async function restartMonitor(container, taskMonitor, options = {}) {
     const actualMonitor = await NetworkMonitor.findByLoggedContainer(container.uri);
     if(actualMonitor == null || taskMonitor.id != actualMonitor.id) {
         console.error(`Cannot restart monitor ${taskMonitor.id} as it has been removed.`);
-        return;
+        return SKIPPED;
+    }
+
+    if(!["manual", "upgrade", "session"].includes(options.reason)) {
+        if(backoff.isCrashLooping(container.uri)) {
+            return await failMonitor(container, taskMonitor, options);
+        }
+        if(backoff.isBackingOff(container.uri)) {
+            console.log(`Postponing restart of monitor for ${container.name}, backing off.`);
+            return SKIPPED;
+        }
+        backoff.recordRestart(container.uri);
     }
 
-    const monitorContainer = docker.getContainer(taskMonitor.id);
+    const monitorContainer = docker.getContainer(taskMonitor.id, taskMonitor.host);
 
     console.log(`Restarting monitor for ${container.name}`);
     try {
         // First remove the existing monitor
-        await removeMonitorContainer(monitorContainer, taskMonitor);
+        await removeMonitorContainer(monitorContainer, taskMonitor, options);
 
         // Then create a new monitor
-        await createMonitorContainer(container);
+        const result = await createMonitorContainer(container, { reason: options.reason, replaces: taskMonitor });
+
+        // The logged container stays connected to the networks of the replaced monitor.
+        // Carry over those still needed, e.g. by a changed log sink, and swap the others.
+        const previousNetworks = await monitorNetworks(container, taskMonitor);
+        for(let network of previousNetworks.filter((network) => result.networks.includes(network))) {
+            await result.monitor.addNetwork(network);
+        }
+        await disconnectNetworks(container, previousNetworks.filter((network) => !result.networks.includes(network)), taskMonitor.host);
+        await connectNetworks(container, result.monitor, result.networks.filter((network) => !previousNetworks.includes(network)));
     } catch(error) {
         console.error(`Failed restarting monitor for ${container.name}`);
         console.error(error);
-        return;
+        await taskMonitor.logEvent("failed", { reason: options.reason, error: error });
+        return false;
     }
 
     console.log(`Successfully restarted monitor for ${container.name}`);
 }
 
+/**
+ * Start tracking a monitor container which runs for the container, but has no network monitor.
+ * options.monitorContainerId is the id of the monitor container, options.monitorHost the docker host it runs on.
+ * If the container got another monitor in the meantime, the untracked container is removed instead.
+ */
+async function adoptMonitor(container, taskMonitor, options = {}) {
+    const actualMonitor = await NetworkMonitor.findByLoggedContainer(container.uri);
+    if(actualMonitor != null) {
+        console.log(`Not adopting monitor container ${options.monitorContainerId}, ${container.name} already has monitor ${actualMonitor.id}`);
+        return await removeOrphanedMonitor(container, null, options);
+    }
+
+    let info;
+    try {
+        info = await docker.inspectContainer(docker.getContainer(options.monitorContainerId, options.monitorHost));
+    } catch(error) {
+        console.error(`Failed to inspect monitor container ${options.monitorContainerId} to adopt it`);
+        console.error(error);
+        return false;
+    }
+
+    // The logged container joined the networks of the monitor when it was created, record those it's still connected to
+    let networks;
+    try {
+        const loggedInfo = await docker.inspectContainer(docker.getContainer(container.id, options.monitorHost));
+        const settings = await captureSettings(container);
+        networks = settings.networks.filter((network) => Object.keys(loggedInfo.NetworkSettings.Networks).includes(network));
+    } catch(error) {
+        console.error(`Failed to find the networks of ${container.name} to adopt monitor container ${options.monitorContainerId}`);
+        console.error(error);
+        return false;
+    }
+
+    const monitor = new NetworkMonitor({
+        status: 'running',
+        dockerContainer: container.uri,
+        id: info.Id,
+        uri: `http://mu.semte.ch/network-monitors/${info.Id}`,
+        profile: info.Config.Labels[PROFILE_LABEL],
+        imageId: info.Image,
+        host: options.monitorHost || null
+    });
+    await monitor.save();
+    for(let network of networks) {
+        await monitor.addNetwork(network);
+    }
+    await monitor.logEvent("adopted", { reason: options.reason });
+    console.log(`Adopted monitor container ${info.Name} for ${container.name}`);
+}
+
+/**
+ * Remove a monitor container which has no network monitor.
+ * options.monitorContainerId is the id of the monitor container, options.monitorHost the docker host it runs on.
+ */
+async function removeOrphanedMonitor(container, taskMonitor, options = {}) {
+    try {
+        await docker.removeContainer(docker.getContainer(options.monitorContainerId, options.monitorHost), true);
+        console.log(`Removed untracked monitor container ${options.monitorContainerId}`);
+    } catch(error) {
+        if(error.statusCode != 404) { // 404 = already gone
+            console.error(`Failed removing untracked monitor container ${options.monitorContainerId}`);
+            console.error(error);
+            return false;
+        }
+    }
+}
+
+/**
+ * Mark a running network monitor whose container no longer exists as removed.
+ */
+async function forgetMonitor(container, monitor, options = {}) {
+    const actualMonitor = await NetworkMonitor.find(monitor.id);
+    if(actualMonitor == null || actualMonitor.status != "running" || await monitor.dockerState() != null) {
+        return SKIPPED;
+    }
+    await monitor.remove({ reason: options.reason, error: "Monitor container no longer exists" });
+    console.log(`Marked monitor ${monitor.uri} without container as removed`);
+}
+
 /**
  * Create and start a new monitor container for the given logged container and network monitor object. Does not touch the network.
+ * options.replaces is the monitor this one replaces when restarting.
  */
-async function createMonitorContainer(container, options = {_retryOnConflict: true}) {
+async function createMonitorContainer(container, options = {}) {
     let monitorContainer = null;
     let monitor = null;
+    let settings = null;
+    let createdAt = null;
+    let host = null;
     const monitorContainerName = `${container.name}-monitor`;
     try {
-        let containerEnv = ["LOGSTASH_URL=logstash:5044",
-                            `DOCKER_ID=${container.id}`,
-                            `DOCKER_NAME=${container.name}`,
-                            `DOCKER_IMAGE=${container.image}`,
-                            `COMPOSE_SERVICE=${await getLabelValue(container, "com.docker.compose.service")}`,
-                            `COMPOSE_PROJECT=${await getLabelValue(container, "com.docker.compose.project")}`];
-        if(process.env.PACKETBEAT_MAX_MESSAGE_SIZE) {
-            containerEnv.push(`PACKETBEAT_MAX_MESSAGE_SIZE=${process.env.PACKETBEAT_MAX_MESSAGE_SIZE}`);
+        host = await dockerHosts.hostOf(container);
+        if(host == null) {
+            throw new Error(`${container.name} can't be mapped to a known docker host`);
         }
-        if(process.env.PACKETBEAT_LISTEN_PORTS) {
-            containerEnv.push(`PACKETBEAT_LISTEN_PORTS=${process.env.PACKETBEAT_LISTEN_PORTS}`);
+        settings = await captureSettings(container);
+        const profile = profiles.get(settings.profile);
+        const variables = Object.assign({
+            logstashUrl: settings.logstashUrl,
+            containerId: container.id,
+            containerName: container.name,
+            containerImage: container.image,
+            composeService: settings.composeService,
+            composeProject: settings.composeProject,
+            maxMessageSize: settings.maxMessageSize,
+            listenPorts: settings.listenPorts
+        }, pcap.captureVariables(container, settings));
+        if(settings.profile == PCAP_PROFILE_NAME) {
+            // Capture files are written to PCAP_HOST_DIRECTORY on the host of the monitor, which this service only reaches locally
+            if(!dockerHosts.isLocal(host)) {
+                throw new Error(`The ${PCAP_PROFILE_NAME} profile is not available on docker host ${host}, only on hosts reached through a socketPath`);
+            }
+            await pcap.prepareDirectory(variables.captureDirectory);
         }
+        const containerEnv = profiles.renderEnv(profile, variables);
+        const image = await docker.inspectImage(profile.image, host);
         monitorContainer = await docker.createContainer({
-            Image: imageName,
+            Image: profile.image,
             AttachStdin: false,
             AttachStdout: true,
             AttachStderr: true,
-            Labels: { "mu.semte.ch.networkMonitor": container.uri },
+            Labels: { [MONITOR_LABEL]: container.uri, [PROFILE_LABEL]: settings.profile, [OWNER_LABEL]: MONITOR_OWNER },
             HostConfig: Object.assign(
               {
-                  NetworkMode: `container:${container.id}`,
-                  CapAdd: ["NET_ADMIN", "NET_RAW"]
+                  NetworkMode: container.hostNetwork ? "host" : `container:${container.id}`,
+                  CapAdd: profile.capabilities,
+                  Binds: profile.mounts
               },
+                  resourceLimits(settings),
                   USE_DOCKER_RESTART_POLICY ? { RestartPolicy: { Name: "always" } } : {}
             ),
             Env: containerEnv,
+            Cmd: profiles.renderCmd(profile, variables),
             Tty: false,
             OpenStdin: false,
             StdinOnce: false,
             name: monitorContainerName
-        });
+        }, host);
+        createdAt = new Date();
         await docker.startContainer(monitorContainer, {});
 
         monitor = new NetworkMonitor({
             status: 'running',
             dockerContainer: container.uri,
             id: monitorContainer.id,
-            uri: `http://mu.semte.ch/network-monitors/${monitorContainer.id}`
+            uri: `http://mu.semte.ch/network-monitors/${monitorContainer.id}`,
+            listenPorts: settings.listenPorts,
+            maxMessageSize: settings.maxMessageSize,
+            logstashUrl: settings.logstashUrl,
+            profile: settings.profile,
+            cpuLimit: settings.cpuLimit,
+            memoryLimit: settings.memoryLimit,
+            pidsLimit: settings.pidsLimit,
+            imageId: image.Id,
+            host: host,
+            replaces: options.replaces ? options.replaces.uri : null
         });
         await monitor.save();
+        if(container.namespaceMembers && container.namespaceMembers.length > 0) {
+            await monitor.setAttachedContainers(container.namespaceMembers);
+        }
+        await monitor.logEvent("created", { reason: options.reason, time: createdAt });
+        await monitor.logEvent("started", { reason: options.reason });
+        if(options.replaces) {
+            await monitor.logEvent("restarted", { reason: options.reason });
+        }
     } catch(error) {
         if(monitorContainer == null) {
             if(error.statusCode == 409) {
               // stop and remove old monitoring container
-              // TODO: retry monitor creation
-              if( options._retryOnConflict == true ) {
-                const existingMonitorContainer = await docker.findContainerByName( monitorContainerName );
+              if( options._retryOnConflict !== false ) {
+                const existingMonitorContainer = await docker.findContainerByName( monitorContainerName, host );
                 if( existingMonitorContainer ) {
                   console.log(`Removing ${monitorContainerName} and retrying`);
                   await docker.removeContainer(existingMonitorContainer, true);
@@ -269,22 +848,42 @@ async function createMonitorContainer(container, options = {_retryOnConflict: tr
             } catch(error) {
                 console.log(error);
             }
+
+            // Keep a record of the failed attempt, unless it got saved already.
+            if(monitor == null) {
+                monitor = new NetworkMonitor({
+                    status: 'removed',
+                    dockerContainer: container.uri,
+                    id: monitorContainer.id,
+                    uri: `http://mu.semte.ch/network-monitors/${monitorContainer.id}`,
+                    host: host,
+                    replaces: options.replaces ? options.replaces.uri : null
+                });
+                try {
+                    await monitor.save();
+                    await monitor.logEvent("created", { reason: options.reason, time: createdAt });
+                    await monitor.logEvent("failed", { reason: options.reason, error: error });
+                } catch(error) {
+                    console.error(error);
+                }
+            }
         }
         throw(error);
     }
     return { monitorContainer: monitorContainer,
-             monitor: monitor
+             monitor: monitor,
+             networks: settings.networks
            };
 }
 
 /**
  * Remove the given monitor. Does not touch the network.
  */
-async function removeMonitorContainer(monitorContainer, monitor) {
+async function removeMonitorContainer(monitorContainer, monitor, options = {}) {
     // Try to stop the monitor container first. This will fail if it has already been stopped.
     try {
         console.log(`Stopping monitor container: ${monitorContainer.id}`);
-        await monitorContainer.stop({t: 3}); // 3 second deadline for sub-containers.
+        await docker.stopContainer(monitorContainer, {t: 3}); // 3 second deadline for sub-containers.
         console.log(`Stopped monitor container: ${monitorContainer.id}`);
     } catch(error) {
       if (error.statusCode !== 404) { // 404 means container is removed
@@ -297,11 +896,11 @@ async function removeMonitorContainer(monitorContainer, monitor) {
         console.log(`Removing monitor container: ${monitorContainer.id}`);
         await docker.removeContainer(monitorContainer, true); // Force removal in case stopping the container failed.
         console.log(`Removed monitor container: ${monitor.id}`);
-        await monitor.remove(); // Only remove the monitor after removing its container.
+        await monitor.remove({ reason: options.reason }); // Only remove the monitor after removing its container.
         console.log(`Removed monitor: ${monitor.uri}`);
     } catch(error) {
         if(error.statusCode == 404) { // 404 = "no such container", e.g. the container is already gone and we can safely set the monitor to "removed"
-            await monitor.remove();
+            await monitor.remove({ reason: options.reason });
             console.log(`Removed monitor: ${monitor.uri}`);
         } else {
             console.error(`Failed removing monitor container: ${monitorContainer.id}`);
@@ -310,24 +909,3 @@ async function removeMonitorContainer(monitorContainer, monitor) {
         }
     }
 }
-
-async function getLabelValue(container, label) {
-    const result = await query(`
-    PREFIX docker: <https://w3.org/ns/bde/docker#>
-    SELECT ?value
-    FROM ${sparqlEscapeUri(process.env.MU_APPLICATION_GRAPH)}
-    WHERE {
-        ?uri      a            docker:Container;
-                  docker:id    ${sparqlEscapeString(container.id)};
-                  docker:label ?labelUri.
-        ?labelUri a            docker:ContainerLabel;
-                  docker:key   ${sparqlEscapeString(label)};
-                  docker:value ?value.
-    }`);
-    if(result.results.bindings.length > 0) {
-      return result.results.bindings[0]["value"].value;
-    } else {
-      console.error(`Cannot find label ${label} for ${container.name}`);
-      return null;
-    }
-}